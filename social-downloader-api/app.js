@@ -6,6 +6,8 @@ const helmet = require('helmet');
 const path = require('path');
 const logger = require('./src/Logger/logger');
 const errorHandler = require('./src/middlewares/error.middleware');
+const { AppError } = require('./src/utils/errors');
+const { startCleanupScheduler } = require('./src/services/cleanup.service');
 
 // Import routes
 const downloaderRoutes = require('./src/routes/downloader.routes');
@@ -33,7 +35,7 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
 }));
 
 // Body parsing middleware
@@ -62,15 +64,8 @@ app.use(express.static(path.join(__dirname, 'public'), {
   }
 }));
 
-// Serve downloaded files with proper headers
-app.use('/downloads', express.static(path.join(__dirname, 'downloads'), {
-  setHeaders: (res, filePath) => {
-    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
-    res.setHeader('Content-Disposition', 'attachment'); // Force download
-  }
-}));
+// Downloaded files are not served statically: every file goes through
+// a signed, expiring link (GET /api/v1/files/:filename)
 
 // ──────────────────────────────────────────────────────────────────────
 // ROUTES
@@ -97,13 +92,8 @@ app.get('/', (req, res) => {
 // 404 HANDLER
 // ──────────────────────────────────────────────────────────────────────
 
-app.use((req, res) => {
-  logger.warn(`404 - Route not found: ${req.method} ${req.originalUrl}`);
-  res.status(404).json({
-    success: false,
-    error: 'Route not found',
-    message: `${req.method} ${req.originalUrl} does not exist`
-  });
+app.use((req, res, next) => {
+  next(new AppError('NOT_FOUND', `Route not found: ${req.method} ${req.originalUrl}`));
 });
 
 // ──────────────────────────────────────────────────────────────────────
@@ -121,6 +111,9 @@ app.listen(PORT, () => {
   logger.info(`📝 Logs stored in ./logs directory`);
   logger.info(`⬇️  Downloads stored in ./downloads directory`);
   logger.info(`🌐 Open http://localhost:${PORT} in your browser`);
+
+  // Remove expired downloads now and on an interval
+  startCleanupScheduler();
 });
 
 // Handle unhandled promise rejections
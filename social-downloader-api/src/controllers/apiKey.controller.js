@@ -0,0 +1,64 @@
+const { createApiKey, listApiKeys, revokeApiKey, getUsage } = require('../services/apiKey.service');
+const logger = require('../Logger/logger');
+
+/**
+ * GET /api/v1/usage
+ * Today's usage and remaining quota of the calling key
+ */
+const getKeyUsage = (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: getUsage(req.apiKey)
+  });
+};
+
+/**
+ * POST /api/v1/admin/keys
+ * Creates a key, the raw key is only shown in this response
+ */
+const createKey = (req, res, next) => {
+  try {
+    const created = createApiKey(req.validatedData);
+
+    return res.status(201).json({
+      success: true,
+      data: created
+    });
+  } catch (error) {
+    logger.warn(`API key creation failed: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/v1/admin/keys
+ * Every key (revoked ones included) with today's usage
+ */
+const listKeys = (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: listApiKeys()
+  });
+};
+
+/**
+ * DELETE /api/v1/admin/keys/:id
+ * Revokes a key, requests with it are rejected from now on
+ */
+const revokeKey = (req, res, next) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: revokeApiKey(req.params.id)
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  getKeyUsage,
+  createKey,
+  listKeys,
+  revokeKey
+};
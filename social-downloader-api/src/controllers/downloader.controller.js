@@ -1,100 +1,503 @@
-const { getInfo, downloadMedia } = require('../services/downloader.service');
+const { getInfo, listSubtitles, streamMedia, MAX_VIDEO_SIZE_MB, DOWNLOAD_TIMEOUT_MS } = require('../services/downloader.service');
+const { runDownload, getOwnedJob, isFinished, JOB_STATUS, MAX_CONCURRENT_DOWNLOADS } = require('../services/job.service');
+const { getFileExpiry, describeRetention } = require('../services/cleanup.service');
+const { getDownloadCacheStats } = require('../services/downloadCache.service');
+const { getInfoCacheStats } = require('../services/infoCache.service');
+const { isCollectionUrl, getCollection, downloadCollection } = require('../services/collection.service');
+const { runBatch, MAX_BATCH_URLS, BATCH_CONCURRENCY } = require('../services/batch.service');
+const { createBundle, streamBundle } = require('../services/bundle.service');
+const { signDownloadResult, verifyBundleUrl, claimRange, describeLinks } = require('../services/downloadLink.service');
+const { authorizeMedia, recordDownloads, describeAuth } = require('../services/apiKey.service');
+const { recordHistory, trackHistory, listHistory, getHistoryEntry, describeHistory } = require('../services/history.service');
+const { describePostprocess } = require('../services/postprocess.service');
+const { describeThumbnails } = require('../services/thumbnail.service');
+const { describePlatforms, listPlatformsBySupport } = require('../extractors/registry');
+const { analyzeSchema, downloadSchema } = require('../utils/validator');
+const { AppError } = require('../utils/errors');
 const logger = require('../Logger/logger');
 
+// Keeps idle SSE connections open through proxies
+const SSE_HEARTBEAT_MS = 15000;
+
+// A stream that has not sent its first byte by then is given up
+const STREAM_START_TIMEOUT_MS = 60000;
+
+/**
+ * Response body for a finished download
+ * Shared by POST /download and the final progress event
+ * Links are signed for this response, so cached results never hand out stale ones
+ */
+const buildDownloadResponse = (result, { singleUse = false } = {}) => {
+  const downloadInfo = signDownloadResult(result, { singleUse });
+
+  return {
+    success: true,
+    data: {
+      filename: downloadInfo.filename,
+      downloadUrl: downloadInfo.downloadUrl,
+      linkExpiresAt: downloadInfo.linkExpiresAt,
+      canonicalUrl: downloadInfo.canonicalUrl || null,
+      mediaId: downloadInfo.mediaId || null,
+      filesize: downloadInfo.filesize,
+      // Every produced file (carousels and other multi-entry posts have several)
+      files: downloadInfo.files,
+      platform: downloadInfo.platform,
+      title: downloadInfo.title,
+      uploader: downloadInfo.uploader || null,
+      thumbnail: downloadInfo.thumbnail || null,
+      format: downloadInfo.format || 'video',
+      ...(downloadInfo.format === 'audio' && {
+        audioCodec: downloadInfo.audioCodec,
+        audioBitrate: downloadInfo.audioBitrate,
+        tags: downloadInfo.tags
+      }),
+      ...(downloadInfo.embeddedSubtitles && { embeddedSubtitles: downloadInfo.embeddedSubtitles }),
+      // { start, end, duration, method: range | trimmed, cut: keyframe | reencoded }
+      ...(downloadInfo.clip && { clip: downloadInfo.clip }),
+      // One report per step: the step, whether it was skipped and its output file
+      ...(downloadInfo.postprocess && { postprocess: downloadInfo.postprocess }),
+      // TikTok: { requested, present, formatId, fallback } of the delivered variant
+      ...(downloadInfo.watermark && { watermark: downloadInfo.watermark }),
+      cached: !!downloadInfo.cached,
+      message: 'File ready for download',
+      ...getFileExpiry(downloadInfo.filename)
+    }
+  };
+};
+
+/**
+ * Metadata or collection listing for one URL
+ */
+const fetchAnalysis = async (url, { page, pageSize, subtitles }) => {
+  // Playlists, channels and profiles list their entries
+  if (isCollectionUrl(url)) {
+    const collection = await getCollection(url, { page, pageSize });
+    logger.info(` Listed ${collection.entries.length} entries of ${collection.platform} ${collection.type}: ${collection.title}`);
+    return collection;
+  }
+
+  // Call the service layer
+  const info = await getInfo(url);
+  const subtitleTracks = info.subtitles || (subtitles ? await listSubtitles(url) : null);
+
+  // Log successful analysis
+  logger.info(` Successfully analyzed ${info.platform}: ${info.title}`);
+
+  return {
+    platform: info.platform,
+    mediaId: info.mediaId || null,
+    canonicalUrl: info.canonicalUrl || null,
+    title: info.title,
+    duration: info.duration,
+    durationFormatted: info.durationFormatted,
+    thumbnail: info.thumbnail,
+    // Every listed size as { url, width, height }, largest first
+    thumbnails: info.thumbnails || [],
+    uploader: info.uploader,
+    uploadDate: info.uploadDate,
+    description: info.description,
+    views: info.views || null,
+    likes: info.likes || null,
+    comments: info.comments || null,
+    shares: info.shares || null,
+    isPlayable: info.isPlayable,
+    availableFormats: info.availableFormats || [],
+    availableQualities: info.availableQualities || [],
+    // { manual: [{ language, name, formats }], automatic: [...] }, null when unknown
+    subtitles: subtitleTracks,
+    type: info.type || null,
+    note: info.note || null
+  };
+};
+
+/**
+ * Analyze data for one URL (shared by /analyze and /batch/analyze), recorded in the history
+ */
+const analyzeMedia = async (url, { page, pageSize, subtitles, apiKey } = {}) => {
+  await authorizeMedia(apiKey, url);
+
+  return trackHistory({ action: 'analyze', url, apiKey }, () => fetchAnalysis(url, { page, pageSize, subtitles }));
+};
+
+/**
+ * Download data for one URL (shared by /download and /batch/download)
+ */
+const downloadMediaData = async (url, { singleUse, apiKey, ...options } = {}) => {
+  await authorizeMedia(apiKey, url, { download: true });
+
+  // Bulk mode: selected entries of a playlist, channel or profile
+  if (isCollectionUrl(url)) {
+    const bulk = await downloadCollection(url, options);
+    logger.info(`Bulk download finished: ${bulk.succeeded}/${bulk.total} succeeded`);
+    recordDownloads(apiKey, bulk.items.filter(item => item.result).map(item => item.result));
+    // Entries are recorded on their own, without the selection of the collection
+    const { items, from, to, ...entryOptions } = options;
+    bulk.items.forEach(({ result, ...item }) => recordHistory({
+      action: 'download',
+      url: item.url || url,
+      apiKey,
+      options: entryOptions,
+      result: result || { platform: bulk.platform, title: item.title, uploader: item.uploader },
+      failure: result ? null : item
+    }).catch(error => logger.warn(`History error: ${error.message}`)));
+
+    return {
+      ...bulk,
+      items: bulk.items.map(({ result, ...item }) => ({
+        ...item,
+        ...(result && { result: buildDownloadResponse(result, { singleUse }).data })
+      }))
+    };
+  }
+
+  // Runs through the job queue so the concurrency limit applies
+  const downloadInfo = await trackHistory({ action: 'download', url, apiKey, options }, () => runDownload(url, options));
+
+  // Log successful download
+  logger.info(`Download prepared: ${downloadInfo.filename} (${downloadInfo.filesize} bytes)`);
+  recordDownloads(apiKey, [downloadInfo]);
+
+  return buildDownloadResponse(downloadInfo, { singleUse }).data;
+};
+
+/**
+ * Manifest entries for every file of a download, bulk download or batch
+ */
+const collectBundleItems = (data, sourceUrl) => {
+  if (data.items) {
+    return data.items
+      .filter(item => item.status === 'done')
+      .flatMap(item => collectBundleItems(item.result, item.url));
+  }
+
+  return data.files.map(file => ({
+    filename: file.filename,
+    filesize: file.filesize,
+    sourceUrl,
+    platform: data.platform,
+    title: data.title || null,
+    uploader: data.uploader,
+    format: data.format
+  }));
+};
+
+/**
+ * Zip bundle link for the files of a download, null when nothing was downloaded
+ */
+const bundleDownloads = (name, data, details, options) => {
+  const items = collectBundleItems(data, details.url);
+  return items.length > 0 ? createBundle(name, items, details, options) : null;
+};
+
+/**
+ * Resolves once a stream has data (or ended), rejects when it fails first,
+ * so errors before the first byte are still answered as JSON
+ * A stream without data after STREAM_START_TIMEOUT_MS is destroyed (TIMEOUT)
+ */
+const waitForData = (stream) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    stream.off('readable', onReadable);
+    stream.off('error', onError);
+    stream.destroy();
+    reject(new AppError('TIMEOUT', `Stream sent no data within ${STREAM_START_TIMEOUT_MS / 1000} seconds`));
+  }, STREAM_START_TIMEOUT_MS);
+
+  const onReadable = () => {
+    clearTimeout(timer);
+    stream.off('error', onError);
+    resolve();
+  };
+  const onError = (error) => {
+    clearTimeout(timer);
+    stream.off('readable', onReadable);
+    reject(error);
+  };
+  stream.once('readable', onReadable);
+  stream.once('error', onError);
+});
+
 /**
  * POST /api/v1/analyze
  * Analyzes a media URL and returns metadata
- * Supports: YouTube, Instagram, TikTok, Snapchat
+ * Supports: every registered extractor (see src/extractors)
  */
 const analyzeUrl = async (req, res, next) => {
   try {
-    const { url } = req.body;
+    const { url, ...analyzeOptions } = req.validatedData; // paging, subtitles
 
     logger.info(` Analyze request received for: ${url}`);
 
-    // Call the service layer
-    const info = await getInfo(url);
-
-    // Log successful analysis
-    logger.info(` Successfully analyzed ${info.platform}: ${info.title}`);
-
     // Return metadata
     return res.status(200).json({
       success: true,
-      data: {
-        platform: info.platform,
-        title: info.title,
-        duration: info.duration,
-        durationFormatted: info.durationFormatted,
-        thumbnail: info.thumbnail,
-        uploader: info.uploader,
-        uploadDate: info.uploadDate,
-        description: info.description,
-        views: info.views || null,
-        likes: info.likes || null,
-        comments: info.comments || null,
-        shares: info.shares || null,
-        isPlayable: info.isPlayable,
-        availableFormats: info.formats || [],
-        type: info.type || null,
-        note: info.note || null
-      }
+      data: await analyzeMedia(url, { ...analyzeOptions, apiKey: req.apiKey })
     });
   } catch (error) {
     logger.error(` Analyze error: ${error.message}`);
-    
-    // Return proper error response
-    return res.status(400).json({
-      success: false,
-      error: error.message || 'Failed to analyze URL',
-      timestamp: new Date().toISOString()
-    });
+
+    // Typed errors (code, status, retryable) are answered by error.middleware
+    return next(error);
   }
 };
 
 /**
  * POST /api/v1/download
  * Downloads media and returns a download link
- * Supports: YouTube, Instagram, TikTok
+ * Supports: every registered extractor except limited ones (Snapchat)
  * Note: Snapchat not supported for direct downloads
  */
 const downloadUrl = async (req, res, next) => {
   try {
-    const { url, quality } = req.body; // quality parameter optional
+    const { url, bundle, ...options } = req.validatedData; // quality, format, audio options, singleUse...
 
     logger.info(`⬇️  Download request received for: ${url}`);
 
-    // Call the service layer
-    const downloadInfo = await downloadMedia(url, quality);
+    const data = await downloadMediaData(url, { ...options, apiKey: req.apiKey });
 
-    // Log successful download
-    logger.info(`Download prepared: ${downloadInfo.filename} (${downloadInfo.filesize} bytes)`);
+    // Optional single zip link for all produced files
+    if (bundle === 'zip') {
+      data.bundle = bundleDownloads(`${data.platform}_${data.title || data.type || 'download'}`, data, {
+        url,
+        platform: data.platform
+      }, { singleUse: options.singleUse });
+    }
 
     // Return download link
     return res.status(200).json({
       success: true,
-      data: {
-        filename: downloadInfo.filename,
-        downloadUrl: downloadInfo.downloadUrl,
-        filesize: downloadInfo.filesize,
-        platform: downloadInfo.platform,
-        title: downloadInfo.title,
-        uploader: downloadInfo.uploader || null,
-        thumbnail: downloadInfo.thumbnail || null,
-        message: 'File ready for download',
-        expiresIn: '7 days'
-      }
+      data
     });
   } catch (error) {
     logger.error(` Download error: ${error.message}`);
-    
-    // Return proper error response
-    return res.status(400).json({
-      success: false,
-      error: error.message || 'Failed to download media',
-      timestamp: new Date().toISOString()
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/v1/stream
+ * Pipes media straight to the client, nothing is stored in downloads/
+ */
+const streamUrl = async (req, res, next) => {
+  const { url, ...options } = req.validatedData; // quality, format
+  const controller = new AbortController();
+
+  // Client went away before the end: kill yt-dlp / stop pulling from play-dl
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    logger.info(`Stream client disconnected: ${url}`);
+    controller.abort();
+  });
+
+  try {
+    logger.info(`Stream request received for: ${url}`);
+    await authorizeMedia(req.apiKey, url, { download: true });
+
+    const media = await streamMedia(url, { ...options, signal: controller.signal });
+    await waitForData(media.stream);
+
+    res.status(200);
+    res.attachment(media.filename); // Content-Disposition, Content-Type from the extension
+    res.setHeader('Cache-Control', 'no-store');
+    if (media.contentLength) res.setHeader('Content-Length', media.contentLength);
+
+    // Headers are out, a failure can only cut the response short
+    media.stream.on('error', (error) => {
+      if (!controller.signal.aborted) logger.error(`Stream failed mid-way: ${error.message}`);
+      res.destroy();
+    });
+    // Streamed bytes count against the key's quota, even when cut short
+    let sentBytes = 0;
+    media.stream.on('data', (chunk) => { sentBytes += chunk.length; });
+    res.once('close', () => recordDownloads(req.apiKey, [{ filesize: sentBytes }]));
+
+    media.stream.pipe(res);
+  } catch (error) {
+    controller.abort();
+    logger.error(` Stream error: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/v1/batch/analyze
+ * Analyzes many URLs, every URL reports its own result or error
+ */
+const batchAnalyze = async (req, res, next) => {
+  try {
+    const { urls, options } = req.validatedData;
+
+    logger.info(`Batch analyze request received for ${urls.length} URLs`);
+
+    const batch = await runBatch(urls, {
+      defaults: options,
+      schema: analyzeSchema,
+      worker: (url, itemOptions) => analyzeMedia(url, { ...itemOptions, apiKey: req.apiKey })
+    });
+
+    // Failed URLs are reported per item, the batch itself succeeds
+    return res.status(200).json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    logger.error(`Batch analyze error: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/v1/batch/download
+ * Downloads many URLs through the job queue, every URL reports its own result or error
+ */
+const batchDownload = async (req, res, next) => {
+  try {
+    const { urls, options, bundle } = req.validatedData;
+
+    logger.info(`Batch download request received for ${urls.length} URLs`);
+
+    const batch = await runBatch(urls, {
+      defaults: options,
+      // Bundles are made for the whole batch, so "bundle" is dropped from the items
+      schema: downloadSchema.omit({ bundle: true }),
+      worker: (url, itemOptions) => downloadMediaData(url, { ...itemOptions, apiKey: req.apiKey })
+    });
+
+    if (bundle === 'zip') {
+      batch.bundle = bundleDownloads(`batch_${Date.now()}`, batch, { urls: batch.items.map(item => item.url) }, {
+        singleUse: options?.singleUse
+      });
+    }
+
+    // Failed URLs are reported per item, the batch itself succeeds
+    return res.status(200).json({
+      success: true,
+      data: batch
     });
+  } catch (error) {
+    logger.error(`Batch download error: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/v1/history
+ * Recorded analyzes and downloads, newest first (only the caller's with an API key)
+ */
+const getHistory = (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: listHistory(req.validatedData, req.apiKey)
+  });
+};
+
+/**
+ * POST /api/v1/history/:id/redownload
+ * Downloads a history entry's canonical URL again with its recorded options,
+ * options in the body take precedence
+ * Entries of other callers are NOT_FOUND, like in GET /history
+ */
+const redownloadHistoryEntry = async (req, res, next) => {
+  try {
+    // Owner check: the caller's key, or no key for keyless entries
+    const entry = getHistoryEntry(req.params.id, req.apiKey);
+    const url = entry.canonicalUrl || entry.url;
+
+    logger.info(`Re-download of history entry ${entry.id}: ${url}`);
+
+    const data = await downloadMediaData(url, {
+      ...entry.options,
+      ...req.validatedData,
+      apiKey: req.apiKey
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: { ...data, redownloadOf: entry.id }
+    });
+  } catch (error) {
+    logger.error(`Re-download error: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/v1/bundles/:id
+ * Streams a zip of a bundle's files and its manifest.json for a signed link
+ * A zip has no ranges, so a single-use link is taken whole by the first request
+ */
+const downloadBundle = (req, res, next) => {
+  let release = null;
+
+  try {
+    const { nonce, expiresAt } = verifyBundleUrl(req.params.id, req.query);
+    if (nonce) release = claimRange(nonce, expiresAt, { start: 0, end: 0 }, 1);
+
+    streamBundle(req.params.id, res, (filename) => {
+      res.status(200);
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    });
+  } catch (error) {
+    // Nothing was sent, the link stays usable
+    release?.(0);
+    logger.warn(`Bundle error: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/v1/download/:id/progress
+ * Server-Sent Events stream of a download job's progress
+ * Events: "progress" (bytes, percent, speed, eta), then "done" or "error"
+ */
+const streamDownloadProgress = (req, res, next) => {
+  const job = getOwnedJob(req.params.id, req.apiKey);
+
+  if (!job) {
+    return next(new AppError('NOT_FOUND', `Download '${req.params.id}' not found`));
   }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx buffering
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const onProgress = (progress) => sendEvent('progress', progress);
+
+  const onFinished = (finishedJob) => {
+    if (finishedJob.status === JOB_STATUS.DONE) {
+      sendEvent('done', buildDownloadResponse(finishedJob.result, finishedJob.options));
+    } else {
+      sendEvent('error', {
+        success: false,
+        status: finishedJob.status,
+        error: finishedJob.error,
+        code: finishedJob.errorCode,
+        retryable: finishedJob.retryable
+      });
+    }
+    res.end();
+  };
+
+  if (isFinished(job)) return onFinished(job);
+
+  if (job.progress) onProgress(job.progress);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  job.events.on('progress', onProgress);
+  job.events.once('finished', onFinished);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    job.events.off('progress', onProgress);
+    job.events.off('finished', onFinished);
+  });
 };
 
 /**
@@ -106,8 +509,9 @@ const getStatus = (req, res) => {
     success: true,
     status: 'API is running',
     timestamp: new Date().toISOString(),
-    supportedPlatforms: ['youtube', 'instagram', 'tiktok'],
-    limitedPlatforms: ['snapchat'],
+    ...listPlatformsBySupport(),
+    downloadCache: getDownloadCacheStats(),
+    infoCache: getInfoCacheStats(),
     apiVersion: '2.0.0'
   });
 };
@@ -131,7 +535,10 @@ const getApiInfo = (req, res) => {
         path: '/api/v1/analyze',
         description: 'Analyze media URL and return metadata',
         body: {
-          url: 'string (required)'
+          url: 'string (required)',
+          page: 'number (optional, playlists/channels/profiles)',
+          pageSize: 'number (optional, playlists/channels/profiles, max 200)',
+          subtitles: 'boolean (optional, YouTube: also list subtitle tracks, needs yt-dlp)'
         }
       },
       download: {
@@ -140,7 +547,145 @@ const getApiInfo = (req, res) => {
         description: 'Download media file',
         body: {
           url: 'string (required)',
-          quality: 'string (optional, YouTube only)'
+          quality: 'string (optional: 144p-2160p, highest, lowest)',
+          formatId: 'string (optional, from /analyze availableFormats)',
+          format: 'string (optional: video, audio)',
+          audioCodec: 'string (optional, audio only: mp3, m4a, opus)',
+          audioBitrate: 'number (optional, audio only: kbit/s, 32-320)',
+          items: 'array (optional, collections: 1-based indexes or entry ids)',
+          from: 'number (optional, collections: index of the first entry)',
+          to: 'number (optional, collections: index of the last entry)',
+          start: 'number | string (optional, clip start in seconds or HH:MM:SS)',
+          end: 'number | string (optional, clip end in seconds or HH:MM:SS)',
+          accurateCut: 'boolean (optional, re-encode for exact clip boundaries instead of cutting on keyframes)',
+          postprocess: 'array (optional: [{ type: remux | transcode | compress | metadata, ... }], run in order on the downloaded file)',
+          watermark: 'boolean (optional, TikTok: false by default, delivers the watermark-free variant when one exists)',
+          subtitles: 'object (optional: { languages: ["en"], format: srt | vtt | txt, embed, auto })',
+          bundle: 'string (optional: zip, one link for all produced files)',
+          singleUse: 'boolean (optional, links send their file only once)'
+        }
+      },
+      batchAnalyze: {
+        method: 'POST',
+        path: '/api/v1/batch/analyze',
+        description: `Analyze up to ${MAX_BATCH_URLS} URLs in one call`,
+        body: {
+          urls: 'array (required): URL strings or { url, page, pageSize }',
+          options: 'object (optional, defaults for every URL)'
+        }
+      },
+      batchDownload: {
+        method: 'POST',
+        path: '/api/v1/batch/download',
+        description: `Download up to ${MAX_BATCH_URLS} URLs in one call`,
+        body: {
+          urls: 'array (required): URL strings or { url, ...download options }',
+          options: 'object (optional, defaults for every URL)',
+          bundle: 'string (optional: zip, one link for the whole batch)'
+        }
+      },
+      stream: {
+        method: 'GET',
+        path: '/api/v1/stream',
+        description: 'Pipe media straight to the client without storing it',
+        query: {
+          url: 'string (required)',
+          quality: 'string (optional: 144p-2160p, highest, lowest)',
+          format: 'string (optional: video, audio)'
+        }
+      },
+      thumbnail: {
+        method: 'GET',
+        path: '/api/v1/thumbnail',
+        description: 'Largest thumbnail (cached locally), or a contact sheet / animated preview of the video',
+        query: {
+          url: 'string (required)',
+          type: 'string (optional: thumbnail, sheet, preview)',
+          format: 'string (optional, thumbnail: original, jpeg, webp; sheet: jpeg, webp; preview: webp, gif)',
+          width: 'number (optional, 16-1920)',
+          height: 'number (optional, thumbnail only, 16-1920)',
+          columns: 'number (optional, sheet only, 1-8)',
+          rows: 'number (optional, sheet only, 1-8)',
+          frames: 'number (optional, preview only, 2-30)'
+        }
+      },
+      file: {
+        method: 'GET',
+        path: '/api/v1/files/:filename',
+        description: 'Downloaded file behind a signed, expiring downloadUrl (Range requests supported)'
+      },
+      bundle: {
+        method: 'GET',
+        path: '/api/v1/bundles/:id',
+        description: 'Zip of a bundle\'s files with a manifest.json, built while streaming'
+      },
+      createJob: {
+        method: 'POST',
+        path: '/api/v1/jobs',
+        description: 'Queue a download and return a job id immediately',
+        body: {
+          url: 'string (required)',
+          quality: 'string (optional: 144p-2160p, highest, lowest)',
+          formatId: 'string (optional, from /analyze availableFormats)',
+          format: 'string (optional: video, audio)',
+          audioCodec: 'string (optional, audio only: mp3, m4a, opus)',
+          audioBitrate: 'number (optional, audio only: kbit/s, 32-320)',
+          start: 'number | string (optional, clip start in seconds or HH:MM:SS)',
+          end: 'number | string (optional, clip end in seconds or HH:MM:SS)',
+          accurateCut: 'boolean (optional, re-encode for exact clip boundaries instead of cutting on keyframes)',
+          subtitles: 'object (optional: { languages: ["en"], format: srt | vtt | txt, embed, auto })'
+        }
+      },
+      jobStatus: {
+        method: 'GET',
+        path: '/api/v1/jobs/:id',
+        description: 'Job status (queued, running, done, failed, cancelled) and result'
+      },
+      downloadProgress: {
+        method: 'GET',
+        path: '/api/v1/download/:id/progress',
+        description: 'Server-Sent Events stream of a job\'s download progress'
+      },
+      cancelJob: {
+        method: 'DELETE',
+        path: '/api/v1/jobs/:id',
+        description: 'Cancel a queued or running job'
+      },
+      history: {
+        method: 'GET',
+        path: '/api/v1/history',
+        description: 'Recorded analyzes and downloads, newest first',
+        query: {
+          platform: 'string (optional)',
+          status: 'string (optional: done, failed, cancelled)',
+          action: 'string (optional: analyze, download)',
+          from: 'date (optional, ISO 8601)',
+          to: 'date (optional, ISO 8601)',
+          q: 'string (optional, title search)',
+          page: 'number (optional)',
+          pageSize: 'number (optional, max 100)'
+        }
+      },
+      redownload: {
+        method: 'POST',
+        path: '/api/v1/history/:id/redownload',
+        description: 'Download a history entry again (same body as /download without url, all optional)'
+      },
+      usage: {
+        method: 'GET',
+        path: '/api/v1/usage',
+        description: 'Today\'s usage and remaining quota of the calling API key'
+      },
+      adminKeys: {
+        method: 'POST, GET, DELETE',
+        path: '/api/v1/admin/keys[/:id]',
+        description: 'Create, list and revoke API keys (ADMIN_API_KEY)',
+        body: {
+          name: 'string (required)',
+          rateLimitPerMinute: 'number (optional)',
+          dailyDownloads: 'number (optional, null for unlimited)',
+          dailyMB: 'number (optional, null for unlimited)',
+          allowedPlatforms: 'array (optional, platform ids, every platform by default)'
         }
       },
       status: {
@@ -154,42 +699,40 @@ const getApiInfo = (req, res) => {
         description: 'API information'
       }
     },
-    supportedPlatforms: {
-      youtube: {
-        status: 'fully_supported',
-        features: ['download', 'metadata', 'multiple_qualities', 'channel_info'],
-        exampleUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
-      },
-      instagram: {
-        status: 'fully_supported',
-        features: ['download_reels', 'download_posts', 'metadata'],
-        limitations: ['no_private_accounts', 'stories_limited'],
-        exampleUrl: 'https://www.instagram.com/reel/DUbE_v2EiFA/'
-      },
-      tiktok: {
-        status: 'fully_supported',
-        features: ['download', 'metadata', 'statistics'],
-        limitations: ['watermark_present', 'no_private_videos'],
-        exampleUrl: 'https://www.tiktok.com/@username/video/1234567890123456789'
-      },
-      snapchat: {
-        status: 'limited_support',
-        features: ['metadata_only'],
-        limitations: ['no_direct_download', 'use_screen_recording'],
-        exampleUrl: 'https://www.snapchat.com/add/username'
-      }
-    },
+    supportedPlatforms: describePlatforms(),
+    auth: describeAuth(),
     rateLimit: {
       enabled: true,
       requests: 100,
       window: '15 seconds'
-    }
+    },
+    downloads: {
+      maxConcurrent: MAX_CONCURRENT_DOWNLOADS,
+      maxFileSizeMB: MAX_VIDEO_SIZE_MB,
+      timeoutSeconds: DOWNLOAD_TIMEOUT_MS / 1000,
+      retention: describeRetention(),
+      links: describeLinks(),
+      postprocess: describePostprocess()
+    },
+    batch: {
+      maxUrls: MAX_BATCH_URLS,
+      concurrency: BATCH_CONCURRENCY
+    },
+    history: describeHistory(),
+    thumbnails: describeThumbnails()
   });
 };
 
 module.exports = {
   analyzeUrl,
   downloadUrl,
+  streamUrl,
+  batchAnalyze,
+  batchDownload,
+  getHistory,
+  redownloadHistoryEntry,
+  downloadBundle,
+  streamDownloadProgress,
   getStatus,
   getApiInfo
 };
\ No newline at end of file
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { verifyDownloadUrl, claimRange } = require('../services/downloadLink.service');
+const { DOWNLOAD_DIR } = require('../services/downloader.service');
+const { AppError } = require('../utils/errors');
+const logger = require('../Logger/logger');
+
+/**
+ * Bytes a request will get, inclusive; null when nothing is sent (416)
+ * Mirrors send: a single (combined) range is honoured, anything else gets the whole file
+ */
+const requestedRange = (req, size) => {
+  const ranges = req.headers.range ? req.range(size, { combine: true }) : null;
+  if (ranges === -1) return null;
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) return ranges[0];
+  return { start: 0, end: size - 1 };
+};
+
+/**
+ * Calls onClose with the number of body bytes handed to the socket once the response closed
+ */
+const countSentBytes = (res, onClose) => {
+  let sentBytes = 0;
+  const write = res.write;
+  const end = res.end;
+
+  res.write = function (chunk, ...args) {
+    if (chunk) sentBytes += Buffer.byteLength(chunk);
+    return write.call(this, chunk, ...args);
+  };
+  res.end = function (chunk, ...args) {
+    if (chunk && typeof chunk !== 'function') sentBytes += Buffer.byteLength(chunk);
+    return end.call(this, chunk, ...args);
+  };
+
+  res.once('close', () => onClose(sentBytes));
+};
+
+/**
+ * Reserve the requested bytes of a single-use link, throws LINK_USED when
+ * another request already sent (or is sending) some of them
+ */
+const claimSingleUse = (req, res, filename, nonce, expiresAt) => {
+  let size;
+  try {
+    size = fs.statSync(path.join(DOWNLOAD_DIR, filename)).size;
+  } catch {
+    return; // sendFile answers NOT_FOUND
+  }
+
+  const range = size > 0 ? requestedRange(req, size) : null;
+  if (!range) return;
+
+  const settle = claimRange(nonce, expiresAt, range, size);
+  countSentBytes(res, (sentBytes) => {
+    const servedStart = Number(/bytes (\d+)-/.exec(res.getHeader('Content-Range') || '')?.[1] || 0);
+    settle(res.statusCode < 300 ? sentBytes : 0, servedStart);
+  });
+};
+
+/**
+ * GET /api/v1/files/:filename
+ * Serves a downloaded file for a signed link, Range requests included
+ * Single-use links send every byte once: a request for bytes that another request
+ * already sent (or is sending) gets LINK_USED, so players can still seek and resume
+ */
+const serveFile = (req, res, next) => {
+  try {
+    const { filename } = req.params;
+    const { nonce, expiresAt } = verifyDownloadUrl(filename, req.query);
+
+    if (nonce && req.method === 'GET') {
+      claimSingleUse(req, res, filename, nonce, expiresAt);
+    }
+
+    res.attachment(filename); // Force download
+    res.sendFile(filename, {
+      root: DOWNLOAD_DIR,
+      dotfiles: 'deny',
+      acceptRanges: true,
+      cacheControl: false,
+      headers: { 'Cache-Control': 'private, no-store' }
+    }, (error) => {
+      if (!error) return;
+      if (res.headersSent) return logger.warn(`File transfer aborted: ${filename} (${error.message})`);
+
+      // Cleanup may remove a file while its link is still valid
+      next(error.code === 'ENOENT' || error.status === 404
+        ? new AppError('NOT_FOUND', 'File no longer exists, download the media again')
+        : error);
+    });
+  } catch (error) {
+    logger.warn(`Download link rejected: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  serveFile
+};
@@ -0,0 +1,95 @@
+const { createJob, getOwnedJob, cancelJob, serializeJob } = require('../services/job.service');
+const { isCollectionUrl } = require('../services/collection.service');
+const { signDownloadResult } = require('../services/downloadLink.service');
+const { authorizeMedia, recordDownloads } = require('../services/apiKey.service');
+const { recordHistory } = require('../services/history.service');
+const { AppError, describeError } = require('../utils/errors');
+const logger = require('../Logger/logger');
+
+/**
+ * Public view of a job with freshly signed download links
+ */
+const jobResponse = (job) => {
+  const data = serializeJob(job);
+  if (data.result) data.result = signDownloadResult(data.result, job.options);
+  return data;
+};
+
+/**
+ * POST /api/v1/jobs
+ * Queues a download and returns the job id right away
+ */
+const createDownloadJob = async (req, res, next) => {
+  try {
+    const { url, ...options } = req.validatedData;
+
+    logger.info(`Job request received for: ${url}`);
+
+    // A job holds one download, collections go through POST /download
+    if (isCollectionUrl(url)) {
+      throw new AppError('VALIDATION_FAILED', 'Playlists, channels and profiles cannot be queued as a job, use POST /api/v1/download');
+    }
+
+    await authorizeMedia(req.apiKey, url, { download: true });
+
+    const job = createJob(url, options, { apiKeyId: req.apiKey?.id });
+    const record = { action: 'download', url, apiKey: req.apiKey, options, startedAt: job.createdAt };
+    job.promise
+      .then(
+        (result) => {
+          recordDownloads(req.apiKey, [result]);
+          return recordHistory({ ...record, result });
+        },
+        error => recordHistory({ ...record, failure: describeError(error) })
+      )
+      .catch(error => logger.warn(`History error: ${error.message}`));
+
+    return res.status(202).json({
+      success: true,
+      data: jobResponse(job)
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/v1/jobs/:id
+ * Reports the job status and, once done, the download result
+ * Jobs of other API keys are reported as not found
+ */
+const getJobStatus = (req, res, next) => {
+  const job = getOwnedJob(req.params.id, req.apiKey);
+
+  if (!job) {
+    return next(new AppError('NOT_FOUND', `Job '${req.params.id}' not found`));
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: jobResponse(job)
+  });
+};
+
+/**
+ * DELETE /api/v1/jobs/:id
+ * Cancels a queued or running job
+ */
+const cancelDownloadJob = (req, res, next) => {
+  if (!getOwnedJob(req.params.id, req.apiKey)) {
+    return next(new AppError('NOT_FOUND', `Job '${req.params.id}' not found`));
+  }
+
+  const job = cancelJob(req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    data: jobResponse(job)
+  });
+};
+
+module.exports = {
+  createDownloadJob,
+  getJobStatus,
+  cancelDownloadJob
+};
@@ -0,0 +1,49 @@
+const { getThumbnail, getVideoPreview } = require('../services/thumbnail.service');
+const { authorizeMedia, recordDownloads } = require('../services/apiKey.service');
+const logger = require('../Logger/logger');
+
+// Browsers may keep an asset this long, the server cache is kept longer
+const CLIENT_CACHE_SECONDS = 3600;
+
+/**
+ * GET /api/v1/thumbnail?url=...
+ * Largest thumbnail of a media from the local cache (type "thumbnail"), or a
+ * contact sheet / animated preview rendered from the downloaded video
+ * Sheets and previews download the video, so they count as a download for API keys
+ */
+const getThumbnailAsset = async (req, res, next) => {
+  const { url, type, ...options } = req.validatedData;
+
+  try {
+    logger.info(`Thumbnail request received for: ${url} (${type})`);
+    const isVideoAsset = type !== 'thumbnail';
+    await authorizeMedia(req.apiKey, url, { download: isVideoAsset });
+
+    const asset = isVideoAsset
+      ? await getVideoPreview(url, type, options)
+      : await getThumbnail(url, options);
+
+    // Only a video downloaded for this request counts, cached ones were counted before
+    if (asset.download && !asset.download.cached) recordDownloads(req.apiKey, [asset.download]);
+
+    res.type(asset.contentType);
+    res.sendFile(asset.filePath, {
+      cacheControl: false,
+      headers: {
+        'Cache-Control': `private, max-age=${CLIENT_CACHE_SECONDS}`,
+        'X-Cache': asset.cached ? 'HIT' : 'MISS'
+      }
+    }, (error) => {
+      if (!error) return;
+      if (res.headersSent) return logger.warn(`Thumbnail transfer aborted: ${error.message}`);
+      next(error);
+    });
+  } catch (error) {
+    logger.error(` Thumbnail error: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  getThumbnailAsset
+};
@@ -0,0 +1,50 @@
+const { createYtDlpExtractor } = require('./ytdlp.extractor');
+
+/**
+ * Facebook extractor (yt-dlp)
+ */
+
+const extractVideoId = (url) => {
+  return url.match(/\/(?:videos|reel|reels)\/(?:[^/?#]+\/)?(\d+)/)?.[1]
+    || url.match(/[?&](?:v|story_fbid)=(\d+)/)?.[1]
+    || url.match(/fb\.watch\/([A-Za-z0-9_-]+)/)?.[1]
+    || null;
+};
+
+// fb.watch codes are not video ids, they redirect to the video page
+const isShortLink = (parsedUrl) => parsedUrl.hostname === 'fb.watch';
+
+const canonicalUrl = (parsedUrl, videoId) => {
+  if (!/^\d+$/.test(videoId)) return null;
+  return /\/reels?\//.test(parsedUrl.pathname)
+    ? `https://www.facebook.com/reel/${videoId}`
+    : `https://www.facebook.com/watch/?v=${videoId}`;
+};
+
+/**
+ * Facebook titles are often the post text or "Video by <page>"
+ */
+const normalizeInfo = (info) => ({
+  ...info,
+  title: info.title && info.title !== 'Unknown'
+    ? info.title.split('\n')[0].substring(0, 100)
+    : `Video by ${info.uploader}`
+});
+
+module.exports = createYtDlpExtractor({
+  name: 'facebook',
+  label: 'Facebook',
+  hosts: ['facebook.com', 'fb.com', 'fb.watch'],
+  extractId: extractVideoId,
+  canonicalUrl,
+  isShortLink,
+  normalizeInfo,
+  // Facebook serves DASH video and audio separately
+  downloadSettings: { defaultFormat: 'bv*+ba/b', mergeOutputFormat: 'mp4' },
+  capabilities: {
+    status: 'fully_supported',
+    features: ['download', 'download_reels', 'metadata', 'multiple_qualities', 'audio_only'],
+    limitations: ['no_private_posts', 'groups_require_login'],
+    exampleUrl: 'https://www.facebook.com/watch/?v=1234567890123456'
+  }
+});
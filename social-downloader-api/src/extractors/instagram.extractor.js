@@ -0,0 +1,104 @@
+const logger = require('../Logger/logger');
+const {
+  isYtDlpAvailable,
+  withPrefix,
+  getInfoWithYtDlp,
+  downloadWithYtDlp,
+  streamWithYtDlp
+} = require('../services/ytdlp.service');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Instagram extractor (yt-dlp only - most reliable)
+ */
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// URL PARSERS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const extractShortcode = (url) => url.match(/\/(?:p|reel|reels|tv)\/([A-Za-z0-9_-]+)/)?.[1] || null;
+
+const canonicalUrl = (parsedUrl, shortcode) => {
+  const kind = parsedUrl.pathname.match(/\/(p|reels?|tv)\//)?.[1].replace('reels', 'reel') || 'p';
+  return `https://www.instagram.com/${kind}/${shortcode}/`;
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// METADATA & DOWNLOAD
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const getInstagramInfo = async (url) => {
+  try {
+    logger.info(`Fetching Instagram info for: ${url}`);
+    
+    if (isYtDlpAvailable()) {
+      return await getInfoWithYtDlp(url, 'instagram');
+    }
+    
+    // Fallback basic info
+    const shortcode = extractShortcode(url);
+    return {
+      success: true,
+      platform: 'instagram',
+      title: 'Instagram Content',
+      description: 'Instagram post or reel',
+      thumbnail: null,
+      uploader: 'Instagram User',
+      webpage_url: url,
+      type: url.includes('/reel/') ? 'reel' : 'post',
+      shortcode,
+      mediaId: shortcode || null,
+      note: 'Install yt-dlp for full functionality: pip install yt-dlp'
+    };
+  } catch (error) {
+    logger.error(`Instagram info error: ${error.message}`);
+    throw withPrefix(error, 'Instagram: ');
+  }
+};
+
+const downloadInstagram = async (url, options = {}) => {
+  try {
+    logger.info(`Starting Instagram download: ${url}`);
+    
+    if (!isYtDlpAvailable()) {
+      throw new AppError('DEPENDENCY_MISSING', 'yt-dlp is required for Instagram downloads. Install with: pip install yt-dlp');
+    }
+    
+    // yt-dlp picks the best combined file itself
+    return await downloadWithYtDlp(url, 'instagram', options, { defaultFormat: null });
+  } catch (error) {
+    logger.error(`Instagram download error: ${error.message}`);
+    throw withPrefix(error, 'Instagram download failed: ');
+  }
+};
+
+const streamInstagram = async (url, options = {}) => {
+  try {
+    logger.info(`Starting Instagram stream: ${url}`);
+
+    if (!isYtDlpAvailable()) {
+      throw new AppError('DEPENDENCY_MISSING', 'yt-dlp is required for Instagram streams. Install with: pip install yt-dlp');
+    }
+
+    return await streamWithYtDlp(url, 'instagram', options);
+  } catch (error) {
+    logger.error(`Instagram stream error: ${error.message}`);
+    throw withPrefix(error, 'Instagram stream failed: ');
+  }
+};
+
+module.exports = {
+  name: 'instagram',
+  hosts: ['instagram.com', 'instagr.am'],
+  extractId: extractShortcode,
+  canonicalUrl,
+  getInfo: getInstagramInfo,
+  download: downloadInstagram,
+  stream: streamInstagram,
+  capabilities: {
+    status: 'fully_supported',
+    features: ['download_reels', 'download_posts', 'metadata', 'multiple_qualities'],
+    limitations: ['no_private_accounts', 'stories_limited'],
+    exampleUrl: 'https://www.instagram.com/reel/DUbE_v2EiFA/'
+  }
+};
@@ -0,0 +1,43 @@
+const { createYtDlpExtractor } = require('./ytdlp.extractor');
+
+/**
+ * Pinterest extractor (yt-dlp)
+ */
+
+const extractPinId = (url) => url.match(/\/pin\/(?:[^/?#]*--)?(\d+)/)?.[1] || null;
+
+const isShortLink = (parsedUrl) => parsedUrl.hostname === 'pin.it';
+
+// Country domains (pinterest.co.uk, pinterest.de...) share pin ids
+const canonicalUrl = (parsedUrl, pinId) => `https://www.pinterest.com/pin/${pinId}/`;
+
+/**
+ * Pins have no upload title of their own, the description is used instead
+ */
+const normalizeInfo = (info) => ({
+  ...info,
+  title: info.title && info.title !== 'Unknown'
+    ? info.title
+    : info.description?.substring(0, 100) || 'Pinterest Pin'
+});
+
+module.exports = createYtDlpExtractor({
+  name: 'pinterest',
+  label: 'Pinterest',
+  // Pinterest runs on many country domains
+  hosts: [
+    'pinterest.com', 'pin.it', 'pinterest.co.uk', 'pinterest.ca', 'pinterest.com.au',
+    'pinterest.de', 'pinterest.fr', 'pinterest.es', 'pinterest.it', 'pinterest.jp', 'pinterest.com.mx'
+  ],
+  extractId: extractPinId,
+  canonicalUrl,
+  isShortLink,
+  normalizeInfo,
+  downloadSettings: { defaultFormat: 'bv*+ba/b', mergeOutputFormat: 'mp4' },
+  capabilities: {
+    status: 'fully_supported',
+    features: ['download', 'metadata'],
+    limitations: ['video_pins_only', 'no_secret_boards'],
+    exampleUrl: 'https://www.pinterest.com/pin/1234567890123456789/'
+  }
+});
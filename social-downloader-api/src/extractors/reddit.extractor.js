@@ -0,0 +1,57 @@
+const { createYtDlpExtractor } = require('./ytdlp.extractor');
+
+/**
+ * Reddit extractor (yt-dlp)
+ * Reddit hosts video and audio as separate DASH tracks on v.redd.it,
+ * downloads merge them into a single MP4
+ */
+
+const extractPostId = (url) => {
+  return url.match(/\/comments\/([a-z0-9]+)/i)?.[1]
+    || url.match(/v\.redd\.it\/([a-z0-9]+)/i)?.[1]
+    || null;
+};
+
+const extractSubreddit = (url) => url.match(/\/r\/([A-Za-z0-9_]+)/)?.[1] || null;
+
+// redd.it/<post> redirects to the post, v.redd.it/<video> is the media itself
+const isShortLink = (parsedUrl) => parsedUrl.hostname === 'redd.it';
+
+const canonicalUrl = (parsedUrl, id) => {
+  if (parsedUrl.hostname === 'v.redd.it') return `https://v.redd.it/${id}`;
+
+  const subreddit = extractSubreddit(parsedUrl.pathname);
+  return subreddit
+    ? `https://www.reddit.com/r/${subreddit}/comments/${id}/`
+    : `https://www.reddit.com/comments/${id}/`;
+};
+
+/**
+ * Video-only DASH formats are offered with the audio track merged in,
+ * so they are listed as having audio
+ */
+const normalizeInfo = (info, url) => ({
+  ...info,
+  subreddit: extractSubreddit(url),
+  availableFormats: info.availableFormats.map(format => (
+    format.hasVideo && !format.hasAudio ? { ...format, hasAudio: true, mergedAudio: true } : format
+  )),
+  note: 'Video and audio are merged into one MP4'
+});
+
+module.exports = createYtDlpExtractor({
+  name: 'reddit',
+  label: 'Reddit',
+  hosts: ['reddit.com', 'redd.it'],
+  extractId: extractPostId,
+  canonicalUrl,
+  isShortLink,
+  normalizeInfo,
+  downloadSettings: { defaultFormat: 'bv*+ba/b', mergeOutputFormat: 'mp4' },
+  capabilities: {
+    status: 'fully_supported',
+    features: ['download', 'metadata', 'multiple_qualities', 'audio_only', 'merged_audio_video'],
+    limitations: ['no_private_subreddits', 'nsfw_requires_login'],
+    exampleUrl: 'https://www.reddit.com/r/videos/comments/abc123/post_title/'
+  }
+});
@@ -0,0 +1,112 @@
+const logger = require('../Logger/logger');
+
+/**
+ * Platform extractor registry
+ *
+ * An extractor is a module exporting:
+ *   name              - Platform id used in responses and filenames ("youtube")
+ *   hosts             - Hostnames it handles, subdomains included ("youtube.com" matches "m.youtube.com")
+ *   getInfo(url)      - Media metadata
+ *   download(url, options) - Download result ({ filename, filesize, files, ... }), links are signed per response
+ *   stream(url, options) - Optional, { stream, filename, contentLength } piped to the client without touching the disk
+ *   capabilities      - { status, features, limitations, exampleUrl } for /info and /status
+ *   extractId(url)    - Optional, stable media id read from the URL
+ *   canonicalUrl(parsedUrl, mediaId) - Optional, canonical URL for a media id
+ *   isShortLink(parsedUrl) - Optional, true when the URL must be expanded by following redirects
+ *   detectCollection(parsedUrl) - Optional, "playlist" / "channel" / "profile" or null
+ */
+
+const REQUIRED_FIELDS = ['name', 'hosts', 'getInfo', 'download', 'capabilities'];
+
+const extractors = [];
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// REGISTRATION
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const registerExtractor = (extractor) => {
+  const missing = REQUIRED_FIELDS.filter(field => !extractor[field]);
+  if (missing.length > 0) {
+    throw new Error(`Extractor '${extractor.name || 'unnamed'}' is missing: ${missing.join(', ')}`);
+  }
+  if (extractors.some(existing => existing.name === extractor.name)) {
+    throw new Error(`Extractor '${extractor.name}' is already registered`);
+  }
+
+  extractors.push(extractor);
+  logger.debug(`Registered extractor: ${extractor.name} (${extractor.hosts.join(', ')})`);
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// LOOKUP
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Lowercase hostname of an http(s) URL, null for anything else
+ */
+const parseHostname = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    return parsed.hostname.toLowerCase().replace(/\.$/, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Exact host or one of its subdomains, never a substring ("notyoutube.com.evil.io")
+const matchesHost = (hostname, host) => hostname === host || hostname.endsWith(`.${host}`);
+
+/**
+ * Extractor handling a URL, null when no platform matches
+ */
+const findExtractor = (url) => {
+  const hostname = parseHostname(url);
+  if (!hostname) return null;
+
+  return extractors.find(extractor => extractor.hosts.some(host => matchesHost(hostname, host))) || null;
+};
+
+const getExtractors = () => [...extractors];
+
+/**
+ * Platform capabilities keyed by extractor name (for /info)
+ */
+const describePlatforms = () => {
+  return Object.fromEntries(extractors.map(extractor => [
+    extractor.name,
+    { hosts: extractor.hosts, ...extractor.capabilities }
+  ]));
+};
+
+/**
+ * Names of fully and partially supported platforms (for /status)
+ */
+const listPlatformsBySupport = () => ({
+  supportedPlatforms: extractors
+    .filter(extractor => extractor.capabilities.status === 'fully_supported')
+    .map(extractor => extractor.name),
+  limitedPlatforms: extractors
+    .filter(extractor => extractor.capabilities.status !== 'fully_supported')
+    .map(extractor => extractor.name)
+});
+
+[
+  require('./youtube.extractor'),
+  require('./instagram.extractor'),
+  require('./tiktok.extractor'),
+  require('./snapchat.extractor'),
+  require('./twitter.extractor'),
+  require('./facebook.extractor'),
+  require('./reddit.extractor'),
+  require('./vimeo.extractor'),
+  require('./pinterest.extractor')
+].forEach(registerExtractor);
+
+module.exports = {
+  registerExtractor,
+  findExtractor,
+  getExtractors,
+  describePlatforms,
+  listPlatformsBySupport
+};
@@ -0,0 +1,55 @@
+const logger = require('../Logger/logger');
+const { isYtDlpAvailable, getInfoWithYtDlp, downloadWithYtDlp } = require('../services/ytdlp.service');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Snapchat extractor (metadata only, downloads are best effort through yt-dlp)
+ */
+
+const getSnapchatInfo = async (url) => {
+  if (isYtDlpAvailable()) {
+    try {
+      return await getInfoWithYtDlp(url, 'snapchat');
+    } catch (e) {
+      logger.warn(`Snapchat yt-dlp failed: ${e.message}`);
+    }
+  }
+  
+  return {
+    success: true,
+    platform: 'snapchat',
+    title: 'Snapchat Content',
+    description: 'Snapchat Spotlight or Story',
+    thumbnail: null,
+    uploader: 'Snapchat User',
+    webpage_url: url,
+    note: 'Snapchat content may have restrictions'
+  };
+};
+
+const downloadSnapchat = async (url, options = {}) => {
+  if (!isYtDlpAvailable()) {
+    throw new AppError('DEPENDENCY_MISSING', 'Snapchat downloads require yt-dlp. Install with: pip install yt-dlp');
+  }
+
+  try {
+    return await downloadWithYtDlp(url, 'snapchat', options);
+  } catch (e) {
+    // yt-dlp errors are already classified (private, login required...)
+    logger.error(`Snapchat download failed: ${e.message}`);
+    throw e;
+  }
+};
+
+module.exports = {
+  name: 'snapchat',
+  hosts: ['snapchat.com'],
+  getInfo: getSnapchatInfo,
+  download: downloadSnapchat,
+  capabilities: {
+    status: 'limited_support',
+    features: ['metadata_only'],
+    limitations: ['no_direct_download', 'use_screen_recording'],
+    exampleUrl: 'https://www.snapchat.com/add/username'
+  }
+};
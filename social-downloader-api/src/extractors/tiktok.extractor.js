@@ -0,0 +1,198 @@
+const logger = require('../Logger/logger');
+const {
+  isYtDlpAvailable,
+  withPrefix,
+  getInfoWithYtDlp,
+  downloadWithYtDlp,
+  streamWithYtDlp
+} = require('../services/ytdlp.service');
+const { AppError } = require('../utils/errors');
+const { QUALITY_LABELS } = require('../utils/formats');
+
+/**
+ * TikTok extractor (yt-dlp only - most reliable)
+ */
+
+const PROFILE_PATH = /^\/@[^/]+\/?$/;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// URL PARSERS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const extractVideoId = (url) => url.match(/\/video\/(\d+)/)?.[1] || null;
+
+// vm.tiktok.com/XYZ, vt.tiktok.com/XYZ and tiktok.com/t/XYZ only redirect to the video
+const isShortLink = (parsedUrl) => {
+  return ['vm.tiktok.com', 'vt.tiktok.com'].includes(parsedUrl.hostname) || parsedUrl.pathname.startsWith('/t/');
+};
+
+// yt-dlp accepts an empty user ("/@/video/ID") when the handle is unknown
+const canonicalUrl = (parsedUrl, videoId) => {
+  const user = parsedUrl.pathname.match(/^\/@([^/]+)\/video\//)?.[1] || '';
+  return `https://www.tiktok.com/@${user}/video/${videoId}`;
+};
+
+/**
+ * "profile" for a TikTok profile URL, null for a single video
+ */
+const detectCollection = (parsedUrl) => (PROFILE_PATH.test(parsedUrl.pathname) ? 'profile' : null);
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// WATERMARK VARIANTS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Video format of the requested variant (watermarked or not) at the requested quality
+ * Falls back to the other variant when the requested one is not offered
+ * Returns null when no combined video format matches the quality (the usual
+ * FORMAT_UNAVAILABLE check applies then)
+ * @returns {{format: Object, fallback: boolean}|null}
+ */
+const selectVariant = ({ quality, watermark = false }, formats = []) => {
+  const candidates = formats
+    .filter(f => f.hasVideo && f.hasAudio)
+    .filter(f => !QUALITY_LABELS.includes(quality) || f.quality === quality)
+    .sort((a, b) => ((a.width || 0) * (a.height || 0) - (b.width || 0) * (b.height || 0))
+      || ((a.bitrate || 0) - (b.bitrate || 0)));
+
+  if (candidates.length === 0) return null;
+
+  const wanted = candidates.filter(f => f.watermarked === !!watermark);
+  const pool = wanted.length > 0 ? wanted : candidates;
+
+  return {
+    format: quality === 'lowest' ? pool[0] : pool[pool.length - 1],
+    fallback: wanted.length === 0
+  };
+};
+
+/**
+ * "watermark" part of the download result
+ */
+const describeVariant = (watermark, { format, fallback }) => ({
+  requested: !!watermark,
+  present: format.watermarked,
+  formatId: format.formatId,
+  fallback,
+  ...(fallback && {
+    message: watermark
+      ? 'No watermarked variant is available, the watermark-free one was delivered'
+      : 'No watermark-free variant is available, the watermarked one was delivered'
+  })
+});
+
+// Format delivered without a variant choice (explicit formatId, audio or yt-dlp's own pick),
+// "present" is null when the watermark is unknown or does not apply
+const describeFormat = (watermark, format) => ({
+  requested: !!watermark,
+  present: format?.watermarked ?? null,
+  formatId: format?.formatId || null,
+  fallback: false
+});
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// METADATA & DOWNLOAD
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const getTiktokInfo = async (url) => {
+  try {
+    logger.info(`Fetching TikTok info for: ${url}`);
+    
+    if (isYtDlpAvailable()) {
+      return await getInfoWithYtDlp(url, 'tiktok');
+    }
+    
+    // Fallback basic info
+    return {
+      success: true,
+      platform: 'tiktok',
+      title: 'TikTok Video',
+      description: 'TikTok video content',
+      thumbnail: null,
+      uploader: 'TikTok User',
+      webpage_url: url,
+      note: 'Install yt-dlp for full functionality: pip install yt-dlp'
+    };
+  } catch (error) {
+    logger.error(`TikTok info error: ${error.message}`);
+    throw withPrefix(error, 'TikTok: ');
+  }
+};
+
+/**
+ * Download a TikTok video
+ * @param {string} url - Video URL
+ * @param {boolean} watermark - false (default) picks a watermark-free play address
+ * @param {Object} options - Request options, an explicit formatId or audio mode skips the variant choice
+ */
+const downloadTiktok = async (url, watermark = false, options = {}) => {
+  try {
+    logger.info(`Starting TikTok download: ${url}`);
+    
+    if (!isYtDlpAvailable()) {
+      throw new AppError('DEPENDENCY_MISSING', 'yt-dlp is required for TikTok downloads. Install with: pip install yt-dlp');
+    }
+
+    const info = await getInfoWithYtDlp(url, 'tiktok');
+
+    // Audio carries no watermark, an explicit formatId is delivered as requested
+    if (options.formatId || options.format === 'audio') {
+      const format = options.format === 'audio'
+        ? null
+        : info.availableFormats.find(f => f.formatId === options.formatId);
+      const result = await downloadWithYtDlp(url, 'tiktok', options, { defaultFormat: null });
+      return { ...result, watermark: describeFormat(watermark, format) };
+    }
+
+    const variant = selectVariant({ quality: options.quality, watermark }, info.availableFormats);
+
+    // Without a combined format yt-dlp picks the best file itself
+    if (!variant) {
+      const result = await downloadWithYtDlp(url, 'tiktok', options, { defaultFormat: null });
+      return { ...result, watermark: describeFormat(watermark, null) };
+    }
+
+    if (variant.fallback) {
+      logger.warn(`TikTok: no ${watermark ? 'watermarked' : 'watermark-free'} variant for ${url}, using format ${variant.format.formatId}`);
+    }
+
+    const result = await downloadWithYtDlp(url, 'tiktok', { ...options, formatId: variant.format.formatId }, { defaultFormat: null });
+    return { ...result, watermark: describeVariant(watermark, variant) };
+  } catch (error) {
+    logger.error(`TikTok download error: ${error.message}`);
+    throw withPrefix(error, 'TikTok download failed: ');
+  }
+};
+
+const streamTiktok = async (url, options = {}) => {
+  try {
+    logger.info(`Starting TikTok stream: ${url}`);
+
+    if (!isYtDlpAvailable()) {
+      throw new AppError('DEPENDENCY_MISSING', 'yt-dlp is required for TikTok streams. Install with: pip install yt-dlp');
+    }
+
+    return await streamWithYtDlp(url, 'tiktok', options);
+  } catch (error) {
+    logger.error(`TikTok stream error: ${error.message}`);
+    throw withPrefix(error, 'TikTok stream failed: ');
+  }
+};
+
+module.exports = {
+  name: 'tiktok',
+  hosts: ['tiktok.com'],
+  extractId: extractVideoId,
+  canonicalUrl,
+  isShortLink,
+  detectCollection,
+  getInfo: getTiktokInfo,
+  download: (url, options = {}) => downloadTiktok(url, options.watermark, options),
+  stream: streamTiktok,
+  capabilities: {
+    status: 'fully_supported',
+    features: ['download', 'metadata', 'statistics', 'multiple_qualities', 'audio_only', 'profiles', 'watermark_free'],
+    limitations: ['no_private_videos'],
+    exampleUrl: 'https://www.tiktok.com/@username/video/1234567890123456789'
+  }
+};
@@ -0,0 +1,43 @@
+const { createYtDlpExtractor } = require('./ytdlp.extractor');
+
+/**
+ * X / Twitter extractor (yt-dlp)
+ */
+
+const extractTweetId = (url) => url.match(/\/status(?:es)?\/(\d+)/)?.[1] || null;
+
+// twitter.com, mobile.twitter.com and x.com links become x.com/<user>/status/<id>
+const canonicalUrl = (parsedUrl, tweetId) => {
+  const user = parsedUrl.pathname.match(/^\/([A-Za-z0-9_]+)\/status/)?.[1] || 'i';
+  return `https://x.com/${user}/status/${tweetId}`;
+};
+
+/**
+ * yt-dlp titles tweets "Display Name - tweet text", the text alone reads better
+ */
+const normalizeInfo = (info) => {
+  const text = info.description?.replace(/\s*https:\/\/t\.co\/\S+$/, '').trim();
+
+  return {
+    ...info,
+    title: text ? text.split('\n')[0].substring(0, 100) : info.title,
+    handle: info.uploaderId ? `@${info.uploaderId}` : null
+  };
+};
+
+module.exports = createYtDlpExtractor({
+  name: 'twitter',
+  label: 'X/Twitter',
+  hosts: ['x.com', 'twitter.com'],
+  extractId: extractTweetId,
+  canonicalUrl,
+  normalizeInfo,
+  // Tweets carry HLS variants with audio muxed in, plus a few video-only ones
+  downloadSettings: { defaultFormat: 'bv*+ba/b', mergeOutputFormat: 'mp4' },
+  capabilities: {
+    status: 'fully_supported',
+    features: ['download', 'metadata', 'statistics', 'multiple_qualities', 'audio_only'],
+    limitations: ['no_protected_accounts', 'sensitive_media_requires_login'],
+    exampleUrl: 'https://x.com/username/status/1234567890123456789'
+  }
+});
@@ -0,0 +1,31 @@
+const { createYtDlpExtractor } = require('./ytdlp.extractor');
+
+/**
+ * Vimeo extractor (yt-dlp)
+ */
+
+// vimeo.com/123, vimeo.com/channels/name/123, player.vimeo.com/video/123
+const extractVideoId = (url) => url.match(/vimeo\.com\/(?:.*\/)?(\d+)(?:[/?#]|$)/)?.[1] || null;
+
+// Unlisted videos keep their privacy hash (vimeo.com/ID/HASH or ?h=HASH)
+const canonicalUrl = (parsedUrl, videoId) => {
+  const hash = parsedUrl.pathname.match(new RegExp(`/${videoId}/([0-9a-f]{6,})`))?.[1]
+    || parsedUrl.searchParams.get('h');
+  return hash ? `https://vimeo.com/${videoId}/${hash}` : `https://vimeo.com/${videoId}`;
+};
+
+module.exports = createYtDlpExtractor({
+  name: 'vimeo',
+  label: 'Vimeo',
+  hosts: ['vimeo.com'],
+  extractId: extractVideoId,
+  canonicalUrl,
+  // Vimeo serves separate DASH video and audio next to progressive files
+  downloadSettings: { defaultFormat: 'bv*+ba/b', mergeOutputFormat: 'mp4' },
+  capabilities: {
+    status: 'fully_supported',
+    features: ['download', 'metadata', 'statistics', 'multiple_qualities', 'audio_only'],
+    limitations: ['no_private_videos', 'unlisted_needs_full_url'],
+    exampleUrl: 'https://vimeo.com/76979871'
+  }
+});
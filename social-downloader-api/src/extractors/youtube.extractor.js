@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const play = require('play-dl');
+const logger = require('../Logger/logger');
+const { normalizePlayDlFormats, availableQualities } = require('../utils/formats');
+const { buildProgress } = require('../utils/progress');
+const { normalizeThumbnails, bestThumbnailUrl } = require('../utils/thumbnails');
+const { getCachedInfo } = require('../services/infoCache.service');
+const { trimFile, describeClip } = require('../services/clip.service');
+const { AppError, toAppError } = require('../utils/errors');
+const {
+  DOWNLOAD_DIR,
+  MAX_VIDEO_SIZE_BYTES,
+  DOWNLOAD_TIMEOUT_MS,
+  isYtDlpAvailable,
+  sanitizeFilename,
+  withPrefix,
+  sizeLimitError,
+  downloadTimeoutError,
+  getInfoWithYtDlp,
+  downloadWithYtDlp,
+  streamWithYtDlp
+} = require('../services/ytdlp.service');
+
+/**
+ * YouTube extractor (play-dl as primary, yt-dlp as fallback)
+ */
+
+const CHANNEL_PATH = /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)(\/(videos|shorts|streams|featured))?\/?$/;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// URL PARSERS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const extractYoutubeVideoId = (url) => {
+  const regExp = /^.*(youtu.be\/|v\/|u\/\w\/|embed\/|shorts\/|live\/|watch\?v=|&v=)([^#&?]*).*/;
+  const match = url.match(regExp);
+  return match && match[2].length === 11 ? match[2] : null;
+};
+
+// youtu.be/ID, /shorts/ID, m.youtube.com/watch?v=ID&t=30s... all become /watch?v=ID
+const canonicalUrl = (parsedUrl, videoId) => `https://www.youtube.com/watch?v=${videoId}`;
+
+/**
+ * Collection type of a parsed URL ("playlist" or "channel"), null for a single video
+ */
+const detectCollection = (parsedUrl) => {
+  // watch?v=...&list=... is a single video played inside a playlist
+  if (parsedUrl.pathname === '/playlist' && parsedUrl.searchParams.get('list')) return 'playlist';
+  if (CHANNEL_PATH.test(parsedUrl.pathname)) return 'channel';
+  return null;
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// METADATA & DOWNLOAD
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Subtitle tracks through yt-dlp (play-dl does not list them), null when unavailable
+ */
+const listYoutubeSubtitles = async (url) => {
+  if (!isYtDlpAvailable()) return null;
+
+  try {
+    return (await getInfoWithYtDlp(url, 'youtube')).subtitles;
+  } catch (error) {
+    logger.warn(`Could not list YouTube subtitles: ${error.message}`);
+    return null;
+  }
+};
+
+const fetchYoutubeInfo = async (url) => {
+  try {
+    logger.info(`Fetching YouTube metadata for: ${url}`);
+    
+    try {
+      const videoId = extractYoutubeVideoId(url);
+      if (!videoId) throw new AppError('INVALID_URL', 'Invalid YouTube URL');
+      
+      const info = await play.video_info(url);
+      const videoDetails = info.video_details;
+      const availableFormats = normalizePlayDlFormats(info.format);
+      
+      return {
+        success: true,
+        platform: 'youtube',
+        title: videoDetails.title,
+        duration: videoDetails.durationInSec,
+        durationFormatted: videoDetails.durationRaw,
+        thumbnail: bestThumbnailUrl(videoDetails.thumbnails),
+        thumbnails: normalizeThumbnails(videoDetails.thumbnails),
+        uploader: videoDetails.channel?.name || 'Unknown',
+        uploadDate: videoDetails.uploadedAt || null,
+        description: videoDetails.description || null,
+        views: videoDetails.views || 0,
+        isPlayable: true,
+        availableFormats,
+        availableQualities: availableQualities(availableFormats),
+        // Listed on request only (listSubtitles), it takes a yt-dlp run
+        subtitles: null,
+        videoId: videoId,
+        mediaId: videoId,
+        webpage_url: url
+      };
+    } catch (playDlError) {
+      logger.warn(`play-dl failed, trying yt-dlp: ${playDlError.message}`);
+      if (isYtDlpAvailable()) {
+        return await getInfoWithYtDlp(url, 'youtube');
+      }
+      throw playDlError;
+    }
+  } catch (error) {
+    logger.error(`YouTube info error: ${error.message}`);
+    // play-dl errors are plain messages ("Sign in to confirm your age..."), typed by their text
+    throw withPrefix(error, 'YouTube: ');
+  }
+};
+
+// Cached, so downloadYoutube reuses the metadata fetched by /analyze
+const getYoutubeInfo = (url) => getCachedInfo('youtube', url, () => fetchYoutubeInfo(url));
+
+// play-dl only knows its own quality indexes (0 = lowest, 2 = highest)
+const PLAY_DL_QUALITY = {
+  lowest: 0,
+  highest: 2
+};
+
+const downloadYoutube = async (url, quality = 'highest', options = {}) => {
+  try {
+    logger.info(`Starting YouTube download: ${url}`);
+
+    // Exact resolutions, format ids, audio extraction and subtitles need yt-dlp,
+    // clips use it when installed so only the range is downloaded
+    if (options.clip && isYtDlpAvailable()) {
+      return await downloadWithYtDlp(url, 'youtube', { ...options, quality });
+    }
+    if (options.formatId || options.format === 'audio' || options.subtitles || !(quality in PLAY_DL_QUALITY)) {
+      if (!isYtDlpAvailable()) {
+        throw new AppError('DEPENDENCY_MISSING', 'yt-dlp is required to download a specific quality, format, audio only or subtitles. Install with: pip install yt-dlp');
+      }
+      return await downloadWithYtDlp(url, 'youtube', { ...options, quality });
+    }
+    
+    try {
+      const metadata = await getYoutubeInfo(url);
+      const safeTitle = sanitizeFilename(metadata.title);
+      const filename = `${safeTitle}_${Date.now()}.mp4`;
+      const filePath = path.join(DOWNLOAD_DIR, filename);
+
+      const stream = await play.stream(url, {
+        quality: PLAY_DL_QUALITY[quality],
+        discordPlayerCompatibility: false
+      });
+
+      // play-dl keeps the selected format's size on the stream object
+      const totalBytes = Number(stream.content_length) || null;
+      if (totalBytes > MAX_VIDEO_SIZE_BYTES) {
+        stream.stream.destroy();
+        throw sizeLimitError(totalBytes);
+      }
+
+      const writeStream = fs.createWriteStream(filePath);
+      
+      return new Promise((resolve, reject) => {
+        const { signal } = options;
+        const startedAt = Date.now();
+        let downloadedBytes = 0;
+        let settled = false;
+
+        // Stop the pipe, remove the partial file and reject
+        const abort = (error) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          stream.stream.unpipe(writeStream);
+          stream.stream.destroy();
+          writeStream.destroy();
+          fs.unlink(filePath, () => {});
+          reject(error);
+        };
+
+        const timer = setTimeout(() => abort(downloadTimeoutError()), DOWNLOAD_TIMEOUT_MS);
+
+        if (signal) {
+          const onAbort = () => {
+            logger.warn(`YouTube download cancelled: ${filename}`);
+            abort(new AppError('CANCELLED', 'Download cancelled'));
+          };
+
+          if (signal.aborted) return onAbort();
+          signal.addEventListener('abort', onAbort, { once: true });
+          writeStream.on('close', () => signal.removeEventListener('abort', onAbort));
+        }
+
+        stream.stream.on('data', (chunk) => {
+          downloadedBytes += chunk.length;
+          if (downloadedBytes > MAX_VIDEO_SIZE_BYTES) {
+            logger.warn(`YouTube download over size limit: ${filename}`);
+            return abort(sizeLimitError(downloadedBytes));
+          }
+
+          if (options.onProgress) {
+            const speed = downloadedBytes / Math.max((Date.now() - startedAt) / 1000, 0.001);
+            const eta = totalBytes ? (totalBytes - downloadedBytes) / speed : null;
+            options.onProgress(buildProgress(downloadedBytes, totalBytes, speed, eta));
+          }
+        });
+
+        stream.stream.pipe(writeStream);
+
+        stream.stream.on('error', (err) => {
+          logger.error(`Stream error: ${err.message}`);
+          abort(err);
+        });
+
+        writeStream.on('finish', async () => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+
+          let fileSize = fs.statSync(filePath).size;
+          logger.info(` YouTube download complete: ${filename}`);
+
+          // play-dl cannot fetch a range, the full file is cut afterwards
+          if (options.clip) {
+            try {
+              fileSize = await trimFile(filePath, options.clip, { signal });
+            } catch (error) {
+              return reject(error);
+            }
+          }
+          
+          resolve({
+            success: true,
+            filename,
+            filesize: fileSize,
+            platform: 'youtube',
+            title: metadata.title,
+            uploader: metadata.uploader,
+            thumbnail: metadata.thumbnail,
+            ...(options.clip && { clip: describeClip(options.clip, 'trimmed') })
+          });
+        });
+
+        writeStream.on('error', abort);
+      });
+    } catch (playDlError) {
+      // A yt-dlp retry after a timeout would get a second DOWNLOAD_TIMEOUT_SECONDS
+      if (options.signal?.aborted || ['TOO_LARGE', 'TIMEOUT'].includes(playDlError.code)) throw playDlError;
+
+      logger.warn(`play-dl failed, trying yt-dlp: ${playDlError.message}`);
+      if (isYtDlpAvailable()) {
+        return await downloadWithYtDlp(url, 'youtube', { ...options, quality });
+      }
+      throw playDlError;
+    }
+  } catch (error) {
+    logger.error(`YouTube download error: ${error.message}`);
+    throw toAppError(error);
+  }
+};
+
+/**
+ * Stream to the client without storing the file
+ * play-dl for highest/lowest, yt-dlp ("-o -") for exact qualities, audio and fallback
+ */
+const streamYoutube = async (url, options = {}) => {
+  const quality = options.quality || 'highest';
+
+  try {
+    logger.info(`Starting YouTube stream: ${url}`);
+
+    if (options.format === 'audio' || !(quality in PLAY_DL_QUALITY)) {
+      if (!isYtDlpAvailable()) {
+        throw new AppError('DEPENDENCY_MISSING', 'yt-dlp is required to stream a specific quality or audio only. Install with: pip install yt-dlp');
+      }
+      return await streamWithYtDlp(url, 'youtube', { ...options, quality });
+    }
+
+    try {
+      const metadata = await getYoutubeInfo(url);
+      const source = await play.stream(url, {
+        quality: PLAY_DL_QUALITY[quality],
+        discordPlayerCompatibility: false
+      });
+
+      const contentLength = Number(source.content_length) || null;
+      if (contentLength > MAX_VIDEO_SIZE_BYTES) {
+        source.stream.destroy();
+        throw sizeLimitError(contentLength);
+      }
+
+      // Client disconnected: stop pulling from YouTube
+      options.signal?.addEventListener('abort', () => source.stream.destroy(), { once: true });
+
+      // Same time budget as a stored download
+      const timer = setTimeout(() => source.stream.destroy(downloadTimeoutError()), DOWNLOAD_TIMEOUT_MS);
+      source.stream.once('close', () => clearTimeout(timer));
+
+      return {
+        stream: source.stream,
+        filename: `${sanitizeFilename(metadata.title)}.mp4`,
+        contentLength,
+        platform: 'youtube',
+        title: metadata.title
+      };
+    } catch (playDlError) {
+      if (playDlError.code === 'TOO_LARGE') throw playDlError;
+
+      logger.warn(`play-dl failed, trying yt-dlp: ${playDlError.message}`);
+      if (isYtDlpAvailable()) {
+        return await streamWithYtDlp(url, 'youtube', { ...options, quality });
+      }
+      throw playDlError;
+    }
+  } catch (error) {
+    logger.error(`YouTube stream error: ${error.message}`);
+    throw toAppError(error);
+  }
+};
+
+module.exports = {
+  name: 'youtube',
+  hosts: ['youtube.com', 'youtu.be', 'youtube-nocookie.com'],
+  extractId: extractYoutubeVideoId,
+  canonicalUrl,
+  detectCollection,
+  getInfo: getYoutubeInfo,
+  listSubtitles: listYoutubeSubtitles,
+  download: (url, options = {}) => downloadYoutube(url, options.quality || 'highest', options),
+  stream: streamYoutube,
+  capabilities: {
+    status: 'fully_supported',
+    features: ['download', 'metadata', 'multiple_qualities', 'channel_info', 'audio_only', 'playlists', 'channels'],
+    exampleUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+  }
+};
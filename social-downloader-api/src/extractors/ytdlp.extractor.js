@@ -0,0 +1,99 @@
+const logger = require('../Logger/logger');
+const {
+  isYtDlpAvailable,
+  withPrefix,
+  getInfoWithYtDlp,
+  downloadWithYtDlp,
+  streamWithYtDlp
+} = require('../services/ytdlp.service');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Extractor factory for platforms handled entirely by yt-dlp
+ * Platform modules only declare their hosts, URL parsers, metadata
+ * normalization and download settings
+ */
+
+const requireYtDlp = (label) => {
+  if (!isYtDlpAvailable()) {
+    throw new AppError('DEPENDENCY_MISSING', `yt-dlp is required for ${label}. Install with: pip install yt-dlp`);
+  }
+};
+
+/**
+ * @param {Object} definition
+ * @param {string} definition.name - Platform id ("reddit")
+ * @param {string} definition.label - Name used in logs and error messages ("Reddit")
+ * @param {string[]} definition.hosts - Hostnames, subdomains included
+ * @param {Function} definition.extractId - Media id from the URL, null when unknown
+ * @param {Function} definition.canonicalUrl - (parsedUrl, mediaId) => canonical URL
+ * @param {Function} definition.isShortLink - (parsedUrl) => true for links that only redirect
+ * @param {Function} definition.normalizeInfo - (info, url) => info with platform specific fields
+ * @param {Object} definition.downloadSettings - downloadWithYtDlp settings (defaultFormat, mergeOutputFormat)
+ * @param {Object} definition.capabilities - /info listing
+ */
+const createYtDlpExtractor = ({
+  name,
+  label,
+  hosts,
+  extractId,
+  canonicalUrl,
+  isShortLink,
+  normalizeInfo = (info) => info,
+  downloadSettings = {},
+  capabilities
+}) => {
+  const getInfo = async (url) => {
+    try {
+      logger.info(`Fetching ${label} info for: ${url}`);
+      requireYtDlp(label);
+
+      // yt-dlp reports sub-extractors ("TwitterBroadcast"), the platform stays ours
+      const info = await getInfoWithYtDlp(url, name);
+      return normalizeInfo({ ...info, platform: name }, url);
+    } catch (error) {
+      logger.error(`${label} info error: ${error.message}`);
+      throw withPrefix(error, `${label}: `);
+    }
+  };
+
+  const download = async (url, options = {}) => {
+    try {
+      logger.info(`Starting ${label} download: ${url}`);
+      requireYtDlp(`${label} downloads`);
+
+      return await downloadWithYtDlp(url, name, options, downloadSettings);
+    } catch (error) {
+      logger.error(`${label} download error: ${error.message}`);
+      throw withPrefix(error, `${label} download failed: `);
+    }
+  };
+
+  const stream = async (url, options = {}) => {
+    try {
+      logger.info(`Starting ${label} stream: ${url}`);
+      requireYtDlp(`${label} streams`);
+
+      return await streamWithYtDlp(url, name, options);
+    } catch (error) {
+      logger.error(`${label} stream error: ${error.message}`);
+      throw withPrefix(error, `${label} stream failed: `);
+    }
+  };
+
+  return {
+    name,
+    hosts,
+    extractId,
+    canonicalUrl,
+    isShortLink,
+    getInfo,
+    download,
+    stream,
+    capabilities
+  };
+};
+
+module.exports = {
+  createYtDlpExtractor
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { findApiKey, authenticate, API_AUTH_ENABLED } = require('../services/apiKey.service');
+const { AppError } = require('../utils/errors');
+
+// Secret for the /admin endpoints, they are disabled when unset
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+/**
+ * Key sent as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+const readApiKey = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme === 'Bearer' && token) return token.trim();
+  return req.get('X-API-Key') || null;
+};
+
+/**
+ * True when the request carries an active API key (nothing is counted)
+ * Lets the IP limiter, which runs first, leave valid keys to their own limit
+ */
+const hasValidApiKey = (req) => {
+  const rawKey = readApiKey(req);
+  return Boolean(rawKey && findApiKey(rawKey));
+};
+
+/**
+ * Attach the caller's key record as req.apiKey
+ * A key is required when API_AUTH_ENABLED=true, otherwise it is optional
+ * (a key that is sent must still be valid, its quotas then apply)
+ */
+const requireApiKey = (req, res, next) => {
+  try {
+    const rawKey = readApiKey(req);
+
+    if (!rawKey) {
+      if (API_AUTH_ENABLED) throw new AppError('UNAUTHORIZED', 'API key required (Authorization: Bearer <key> or X-API-Key header)');
+      return next();
+    }
+
+    req.apiKey = authenticate(rawKey);
+    next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Like requireApiKey, but a key is always required (GET /usage)
+ */
+const requireOwnApiKey = (req, res, next) => {
+  if (!readApiKey(req)) {
+    return next(new AppError('UNAUTHORIZED', 'API key required (Authorization: Bearer <key> or X-API-Key header)'));
+  }
+  return requireApiKey(req, res, next);
+};
+
+/**
+ * Only lets ADMIN_API_KEY through
+ */
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_API_KEY) {
+    return next(new AppError('FORBIDDEN', 'Admin endpoints are disabled, set ADMIN_API_KEY to enable them'));
+  }
+
+  const expected = Buffer.from(ADMIN_API_KEY);
+  const actual = Buffer.from(readApiKey(req) || '');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return next(new AppError('UNAUTHORIZED', 'Invalid admin key'));
+  }
+
+  next();
+};
+
+module.exports = {
+  hasValidApiKey,
+  requireApiKey,
+  requireOwnApiKey,
+  requireAdmin
+};
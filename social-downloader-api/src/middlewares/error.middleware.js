@@ -1,22 +1,35 @@
 const logger = require('../Logger/logger');
+const { AppError, toAppError } = require('../utils/errors');
 
 /**
  * Global error handling middleware
  * Must be registered LAST in Express app
+ * Every error is answered with its taxonomy code, status and retryable flag
  */
 const errorHandler = (err, req, res, next) => {
-  logger.error(`Error: ${err.message}`, { stack: err.stack });
+  // express.json() rejects malformed bodies before any route runs
+  const error = err.type === 'entity.parse.failed'
+    ? new AppError('VALIDATION_FAILED', 'Request body is not valid JSON')
+    : toAppError(err);
 
-  // Default error response
-  const statusCode = err.statusCode || 500;
-  const message = err.message || 'Internal Server Error';
+  if (error.statusCode >= 500) {
+    logger.error(`Error: ${error.message}`, { code: error.code, stack: error.stack });
+  } else {
+    logger.warn(`${error.code}: ${error.message}`);
+  }
 
-  res.status(statusCode).json({
+  // Streams (bundles) can fail after the headers went out, let Express close the socket
+  if (res.headersSent) return next(err);
+
+  res.status(error.statusCode).json({
     success: false,
-    error: message,
+    error: error.message,
+    code: error.code,
+    retryable: error.retryable,
+    ...(error.details && { details: error.details }),
     timestamp: new Date().toISOString(),
     // Only include stack trace in development
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
   });
 };
 
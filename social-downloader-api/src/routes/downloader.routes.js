@@ -1,8 +1,14 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const router = express.Router();
-const { analyzeUrl, downloadUrl, getStatus, getApiInfo } = require('../controllers/downloader.controller');
-const { validateUrl } = require('../utils/validator');
+const { analyzeUrl, downloadUrl, streamUrl, batchAnalyze, batchDownload, getHistory, redownloadHistoryEntry, downloadBundle, streamDownloadProgress, getStatus, getApiInfo } = require('../controllers/downloader.controller');
+const { createDownloadJob, getJobStatus, cancelDownloadJob } = require('../controllers/job.controller');
+const { serveFile } = require('../controllers/file.controller');
+const { getThumbnailAsset } = require('../controllers/thumbnail.controller');
+const { getKeyUsage, createKey, listKeys, revokeKey } = require('../controllers/apiKey.controller');
+const { hasValidApiKey, requireApiKey, requireOwnApiKey, requireAdmin } = require('../middlewares/auth.middleware');
+const { validateAnalyze, validateDownload, validateJob, validateBatch, validateStream, validateThumbnail, validateHistory, validateRedownload, validateApiKey } = require('../utils/validator');
+const { AppError } = require('../utils/errors');
 
 /**
  * Rate limiting middleware
@@ -12,18 +18,34 @@ const { validateUrl } = require('../utils/validator');
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15000,
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: {
-    success: false,
-    error: 'Too many requests from this IP, please try again later.'
+  handler: (req, res, next) => {
+    next(new AppError('RATE_LIMITED', 'Too many requests from this IP, please try again later.'));
   },
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
   skip: (req) => {
-    // Don't rate limit health checks
-    return req.path === '/status';
+    // Don't rate limit health checks, requests with a valid API key use keyLimiter
+    // (runs before requireApiKey, so guessing keys counts against the IP)
+    return req.path === '/status' || hasValidApiKey(req);
   }
 });
 
+/**
+ * Per API key rate limiting (rateLimitPerMinute of the key)
+ * Runs after limiter and requireApiKey, requests without a key are left to the IP limiter
+ */
+const keyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => req.apiKey.id,
+  handler: (req, res, next) => {
+    next(new AppError('RATE_LIMITED', 'Too many requests for this API key, please try again later.'));
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !req.apiKey
+});
+
 // ──────────────────────────────────────────────────────────────────────
 // PUBLIC ENDPOINTS (No rate limit)
 // ──────────────────────────────────────────────────────────────────────
@@ -42,6 +64,9 @@ router.get('/info', getApiInfo);
 
 // ──────────────────────────────────────────────────────────────────────
 // RATE LIMITED ENDPOINTS
+// API key via "Authorization: Bearer <key>" or "X-API-Key", required when
+// API_AUTH_ENABLED=true: 401 UNAUTHORIZED, 403 PLATFORM_NOT_ALLOWED,
+// 429 QUOTA_EXCEEDED (daily downloads or bytes, details.resetsAt)
 // ──────────────────────────────────────────────────────────────────────
 
 /**
@@ -52,28 +77,44 @@ router.get('/info', getApiInfo);
  * - YouTube: Full support
  * - Instagram: Posts and Reels
  * - TikTok: Full support
+ * - X/Twitter, Facebook, Reddit, Vimeo, Pinterest: Full support (yt-dlp)
  * - Snapchat: Metadata only
  * 
  * Request Body:
  * {
- *   "url": "https://..." (required)
+ *   "url": "https://..." (required),
+ *   "page": 1 (optional, collections only),
+ *   "pageSize": 50 (optional, collections only, max 200),
+ *   "subtitles": true (optional, YouTube lists its subtitle tracks only when asked)
  * }
  * 
+ * Playlist, channel and TikTok profile URLs return the collection instead:
+ * { "type": "playlist", "totalEntries": 120, "page": 1, "hasMore": true, "entries": [{ "index": 1, "id": "...", "url": "...", "title": "...", ... }] }
+ * 
  * Response:
  * {
  *   "success": true,
  *   "data": {
  *     "platform": "youtube",
+ *     "mediaId": "dQw4w9WgXcQ",
+ *     "canonicalUrl": "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
  *     "title": "Video Title",
  *     "duration": 212,
  *     "durationFormatted": "3:32",
  *     "thumbnail": "https://...",
  *     "uploader": "Channel Name",
+ *     "availableFormats": [
+ *       { "formatId": "22", "quality": "720p", "resolution": "1280x720", "vcodec": "avc1.64001F", "bitrate": 1200, "filesize": 15728640, ... }
+ *     ],
+ *     "subtitles": {
+ *       "manual": [{ "language": "en", "name": "English", "formats": ["vtt", "srv3"] }],
+ *       "automatic": [{ "language": "fr", "name": "French", "formats": ["vtt"] }]
+ *     },
  *     ...
  *   }
  * }
  */
-router.post('/analyze', limiter, validateUrl, analyzeUrl);
+router.post('/analyze', limiter, requireApiKey, keyLimiter, validateAnalyze, analyzeUrl);
 
 /**
  * POST /api/v1/download
@@ -83,24 +124,75 @@ router.post('/analyze', limiter, validateUrl, analyzeUrl);
  * - YouTube: Full support with quality options
  * - Instagram: Posts and Reels
  * - TikTok: Full support
+ * - X/Twitter, Facebook, Reddit, Vimeo, Pinterest: Full support (yt-dlp)
  * - Snapchat: NOT supported
  * 
  * Request Body:
  * {
  *   "url": "https://..." (required),
- *   "quality": "360p" (optional, YouTube only)
+ *   "quality": "720p" (optional),
+ *   "formatId": "137" (optional, exact id from /analyze availableFormats),
+ *   "format": "audio" (optional, "video" by default),
+ *   "audioCodec": "mp3" (optional, audio only: "mp3", "m4a", "opus"),
+ *   "audioBitrate": 192 (optional, audio only: kbit/s),
+ *   "subtitles": { "languages": ["en", "es"], "format": "srt", "embed": false, "auto": false } (optional),
+ *   "start": "00:01:30" (optional, clip start: seconds or HH:MM:SS),
+ *   "end": 120 (optional, clip end: seconds or HH:MM:SS),
+ *   "accurateCut": true (optional, re-encode for exact clip boundaries),
+ *   "postprocess": [{ "type": "remux", "container": "mp4" }, { "type": "compress", "targetSizeMB": 25 }] (optional),
+ *   "watermark": false (optional, TikTok only: watermark-free variant by default),
+ *   "bundle": "zip" (optional, adds data.bundle with one zip link for all files),
+ *   "singleUse": true (optional, download links send their file only once)
  * }
  * 
- * Quality Options (YouTube):
- * - "360p", "480p", "720p", "1080p", "2160p"
+ * "files" lists every produced file (carousels and multi-entry posts have several),
+ * "filename"/"downloadUrl" point to the first one
+ * 
+ * Audio mode embeds title, artist (uploader), date and cover art tags
+ * 
+ * Subtitles: languages listed by /analyze ("subtitles.manual" / "subtitles.automatic", "auto": true
+ * for the latter), "format" "srt" (default), "vtt" or "txt" (plain text). Separate tracks are added to
+ * "files" as { "type": "subtitle", "language": "en", ... }; with "embed": true they go into the video
+ * instead ("embeddedSubtitles"). A language the media does not offer returns 400 (FORMAT_UNAVAILABLE)
+ * 
+ * Clips: "start"/"end" are checked against the media duration. yt-dlp downloads only the range,
+ * play-dl downloads are trimmed with ffmpeg afterwards. Response data gains
+ * "clip": { "start", "end", "duration", "method": "range" | "trimmed", "cut": "keyframe" | "reencoded" }
+ * 
+ * Post-processing (ffmpeg, in the given order, on the main media file):
+ * - { "type": "remux", "container": "mp4" | "mkv" | "webm" | "mov" }
+ * - { "type": "transcode", "videoCodec": "h264" | "h265" | "vp9", "audioCodec": "aac" | "opus" | "mp3", "height": 720, "container" }
+ * - { "type": "compress", "targetSizeMB": 25 }
+ * - { "type": "metadata", "mode": "strip" | "keep" }
+ * Response data gains "postprocess": one report per step ({ ...step, "skipped", "output": { filename, filesize,
+ * container, duration, videoCodec, audioCodec, width, height } })
+ * 
+ * TikTok watermark: "watermark": false (default) picks a watermark-free play address, true the watermarked
+ * "download" address. When only the other variant exists it is delivered instead. Response data gains
+ * "watermark": { "requested", "present", "formatId", "fallback" }. An explicit formatId reports that format's flag,
+ * audio downloads report "present": null
+ * 
+ * Bulk mode (playlist, channel and TikTok profile URLs):
+ * {
+ *   "url": "https://www.youtube.com/playlist?list=...",
+ *   "items": [1, 4, "dQw4w9WgXcQ"] (1-based indexes or entry ids)
+ *   or "from": 1, "to": 10 (entry indexes, "start"/"end" stay clip times for every entry)
+ * }
+ * Response data: { "total", "succeeded", "failed", "items": [{ "index", "id", "title", "status": "done" | "failed", "result" | "error" }] }
+ * 
+ * Quality Options (all yt-dlp backed platforms):
+ * - "144p", "240p", "360p", "480p", "720p", "1080p", "1440p", "2160p"
  * - "highest" (default), "lowest"
+ * A quality or format id the media does not offer returns 400 (FORMAT_UNAVAILABLE)
  * 
  * Response:
  * {
  *   "success": true,
  *   "data": {
  *     "filename": "Video_Title_1234567890.mp4",
- *     "downloadUrl": "/downloads/Video_Title_1234567890.mp4",
+ *     "downloadUrl": "/api/v1/files/Video_Title_1234567890.mp4?expires=1704114000&sig=...",
+ *     "linkExpiresAt": "2024-01-01T13:00:00.000Z",
+ *     "canonicalUrl": "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
  *     "filesize": 15728640,
  *     "platform": "youtube",
  *     "title": "Video Title",
@@ -108,6 +200,297 @@ router.post('/analyze', limiter, validateUrl, analyzeUrl);
  *   }
  * }
  */
-router.post('/download', limiter, validateUrl, downloadUrl);
+router.post('/download', limiter, requireApiKey, keyLimiter, validateDownload, downloadUrl);
+
+/**
+ * GET /api/v1/stream?url=...&quality=...&format=...
+ * Pipes the media straight into the response, nothing is written to downloads/
+ * Supports: every registered extractor except limited ones (Snapchat)
+ *
+ * Query:
+ * - url (required)
+ * - quality: "144p" ... "2160p", "highest" (default), "lowest"
+ * - format: "video" (default) or "audio"
+ *
+ * Only single-file formats can be streamed (video with audio, or audio only);
+ * audio is sent in its original codec, without conversion
+ * Headers: Content-Type and Content-Disposition from the title, Content-Length when known
+ * Errors before the first byte are JSON; the upstream process is killed when the client disconnects,
+ * when no data arrived within 60 seconds (504 TIMEOUT), or when it runs past DOWNLOAD_TIMEOUT_SECONDS
+ */
+router.get('/stream', limiter, requireApiKey, keyLimiter, validateStream, streamUrl);
+
+// ──────────────────────────────────────────────────────────────────────
+// THUMBNAILS
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/thumbnail?url=...&type=...&format=...&width=...
+ * Returns an image, served from the local thumbnail cache when possible
+ *
+ * Query:
+ * - url (required)
+ * - type: "thumbnail" (default), "sheet" (contact sheet) or "preview" (animated)
+ * - format: thumbnail "original" (default), "jpeg", "webp"; sheet "jpeg" (default), "webp";
+ *   preview "webp" (default), "gif"
+ * - width / height: thumbnail size in px, aspect ratio kept when only one is given;
+ *   width only for sheets and previews
+ * - columns / rows: contact sheet grid (default 4x4)
+ * - frames: frames of the animated preview (default 12)
+ *
+ * "thumbnail" picks the highest resolution thumbnail the platform lists;
+ * "sheet" and "preview" download the video first and count as a download for API keys
+ */
+router.get('/thumbnail', limiter, requireApiKey, keyLimiter, validateThumbnail, getThumbnailAsset);
+
+// ──────────────────────────────────────────────────────────────────────
+// BATCH ENDPOINTS (one rate limit hit per batch)
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/v1/batch/analyze
+ * Analyzes up to MAX_BATCH_URLS URLs, BATCH_CONCURRENCY at a time
+ * 
+ * Request Body:
+ * {
+ *   "urls": [
+ *     "https://...",
+ *     { "url": "https://www.youtube.com/playlist?list=...", "page": 2 }
+ *   ] (required),
+ *   "options": { "pageSize": 20 } (optional, defaults for every URL)
+ * }
+ * 
+ * Response (200 even when some URLs fail):
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "total": 2,
+ *     "succeeded": 1,
+ *     "failed": 1,
+ *     "items": [
+ *       { "index": 0, "url": "https://...", "status": "done", "result": { same data as POST /api/v1/analyze } },
+ *       { "index": 1, "url": "https://...", "status": "failed", "error": "...", "errorCode": "MEDIA_PRIVATE", "retryable": false }
+ *     ]
+ *   }
+ * }
+ */
+router.post('/batch/analyze', limiter, requireApiKey, keyLimiter, validateBatch, batchAnalyze);
+
+/**
+ * POST /api/v1/batch/download
+ * Downloads up to MAX_BATCH_URLS URLs through the job queue
+ * 
+ * Request Body:
+ * {
+ *   "urls": [
+ *     "https://...",
+ *     { "url": "https://...", "format": "audio" }
+ *   ] (required),
+ *   "options": { "quality": "720p" } (optional, defaults for every URL),
+ *   "bundle": "zip" (optional, adds data.bundle with one zip link for the whole batch)
+ * }
+ * 
+ * Response: same shape as /batch/analyze, "result" holds the POST /api/v1/download data
+ * Invalid items fail on their own with "errorCode": "VALIDATION_FAILED"
+ */
+router.post('/batch/download', limiter, requireApiKey, keyLimiter, validateBatch, batchDownload);
+
+// ──────────────────────────────────────────────────────────────────────
+// FILES (signed links, no rate limit so players can seek)
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/files/:filename?expires=...&sig=...[&once=...]
+ * Serves a downloaded file for the signed "downloadUrl" of a download response
+ * Supports Range requests (206) for seeking and resuming
+ *
+ * Single-use links send every byte once: parallel downloads are refused, seeking and resuming still work
+ *
+ * Errors: 403 LINK_INVALID (bad signature), 410 LINK_EXPIRED,
+ * 410 LINK_USED (single-use link already downloaded or requested bytes already sent), 404 NOT_FOUND (file cleaned up)
+ */
+router.get('/files/:filename', serveFile);
+
+// ──────────────────────────────────────────────────────────────────────
+// BUNDLES
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/bundles/:id?expires=...&sig=...[&once=...]
+ * Streams a zip with the bundle's files and a manifest.json of their metadata
+ * The archive is built on the fly, links are signed like file links and expire after BUNDLE_RETENTION_MINUTES
+ * A single-use bundle link is used up by its first request
+ * 
+ * 403/410: LINK_INVALID, LINK_EXPIRED, LINK_USED
+ * 404: unknown or expired bundle, 410: its files were already cleaned up
+ */
+router.get('/bundles/:id', downloadBundle);
+
+// ──────────────────────────────────────────────────────────────────────
+// DOWNLOAD JOBS
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/v1/jobs
+ * Queues a download and returns immediately with a job id
+ * 
+ * Request Body: same as POST /api/v1/download, without items/from/to/bundle
+ * Playlist, channel and profile URLs are rejected (400), use /download
+ * 
+ * Response (202):
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "id": "0b6f0c6e-...",
+ *     "status": "queued",
+ *     "queuePosition": 1,
+ *     ...
+ *   }
+ * }
+ */
+router.post('/jobs', limiter, requireApiKey, keyLimiter, validateJob, createDownloadJob);
+
+/**
+ * GET /api/v1/jobs/:id
+ * Job status: queued | running | done | failed | cancelled
+ * When done, "result" holds the same data as POST /api/v1/download
+ * Jobs are only visible to the API key that created them (404 otherwise),
+ * the same applies to DELETE /jobs/:id and the progress stream
+ */
+router.get('/jobs/:id', limiter, requireApiKey, getJobStatus);
+
+/**
+ * DELETE /api/v1/jobs/:id
+ * Cancels a job, killing its download process and removing the partial file
+ */
+router.delete('/jobs/:id', limiter, requireApiKey, cancelDownloadJob);
+
+/**
+ * GET /api/v1/download/:id/progress
+ * Server-Sent Events stream for a job created with POST /api/v1/jobs
+ * 
+ * event: progress
+ * data: { "downloadedBytes": 1048576, "totalBytes": 15728640, "percent": 6.7, "speed": 524288, "eta": 28 }
+ * 
+ * event: done
+ * data: same body as the POST /api/v1/download response
+ * 
+ * event: error
+ * data: { "success": false, "status": "failed", "error": "...", "code": "TIMEOUT", "retryable": true }
+ */
+router.get('/download/:id/progress', limiter, requireApiKey, streamDownloadProgress);
+
+// ──────────────────────────────────────────────────────────────────────
+// HISTORY
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/history
+ * Every analyze and download (failures included), newest first
+ * Only the caller's entries are listed: the key's own, or the keyless ones without a key
+ *
+ * Query (all optional):
+ * - platform: "youtube", "tiktok"...
+ * - status: "done", "failed" or "cancelled"
+ * - action: "analyze" or "download"
+ * - from / to: ISO 8601 date or timestamp
+ * - q: text searched in the title
+ * - page (default 1), pageSize (default 20, max 100)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "totalEntries": 42,
+ *     "page": 1,
+ *     "pageSize": 20,
+ *     "hasMore": true,
+ *     "entries": [{
+ *       "id": "...",
+ *       "action": "download",
+ *       "status": "done",
+ *       "url": "https://youtu.be/dQw4w9WgXcQ?si=...",
+ *       "canonicalUrl": "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+ *       "platform": "youtube",
+ *       "title": "Video Title",
+ *       "uploader": "Channel",
+ *       "filename": "Video_Title_1234567890.mp4",
+ *       "filesize": 15728640,
+ *       "format": "video",
+ *       "options": { "quality": "720p" },
+ *       "errorCode": null,
+ *       "createdAt": "...",
+ *       "finishedAt": "..."
+ *     }]
+ *   }
+ * }
+ */
+router.get('/history', limiter, requireApiKey, keyLimiter, validateHistory, getHistory);
+
+/**
+ * POST /api/v1/history/:id/redownload
+ * Downloads the entry's canonical URL again with its recorded options
+ *
+ * Request Body (optional, overrides the recorded options):
+ * { "quality": "1080p", "format": "audio", "audioCodec": "mp3", "singleUse": true, ... }
+ *
+ * Response: same as POST /api/v1/download, plus "redownloadOf" (the history entry id)
+ * 404 for entries of another API key (or keyed entries when called without a key)
+ */
+router.post('/history/:id/redownload', limiter, requireApiKey, keyLimiter, validateRedownload, redownloadHistoryEntry);
+
+// ──────────────────────────────────────────────────────────────────────
+// API KEYS
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/usage
+ * Today's usage (UTC) and remaining quota of the calling key
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "key": { "id": "...", "name": "mobile-app", "prefix": "sdk_Q2xh...", "rateLimitPerMinute": 60, "dailyDownloads": 100, "dailyBytes": 5368709120, "allowedPlatforms": ["youtube"], ... },
+ *     "usage": { "date": "2024-01-01", "requests": 42, "downloads": 7, "bytes": 104857600 },
+ *     "remaining": { "downloads": 93, "bytes": 5263851520 },
+ *     "resetsAt": "2024-01-02T00:00:00.000Z"
+ *   }
+ * }
+ */
+router.get('/usage', limiter, requireOwnApiKey, keyLimiter, getKeyUsage);
+
+// ──────────────────────────────────────────────────────────────────────
+// ADMIN (ADMIN_API_KEY as Bearer token or X-API-Key)
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/v1/admin/keys
+ * Creates an API key, the raw "key" is only returned once
+ *
+ * Request Body:
+ * {
+ *   "name": "mobile-app" (required),
+ *   "rateLimitPerMinute": 60 (optional),
+ *   "dailyDownloads": 100 (optional, null for unlimited),
+ *   "dailyMB": 5120 (optional, null for unlimited),
+ *   "allowedPlatforms": ["youtube", "tiktok"] (optional, every platform by default)
+ * }
+ *
+ * Response (201): { "success": true, "data": { "key": "sdk_...", "apiKey": { "id": "...", ... } } }
+ */
+router.post('/admin/keys', limiter, requireAdmin, validateApiKey, createKey);
+
+/**
+ * GET /api/v1/admin/keys
+ * Every key, revoked ones included, with today's usage
+ */
+router.get('/admin/keys', limiter, requireAdmin, listKeys);
+
+/**
+ * DELETE /api/v1/admin/keys/:id
+ * Revokes a key
+ */
+router.delete('/admin/keys/:id', limiter, requireAdmin, revokeKey);
 
 module.exports = router;
\ No newline at end of file
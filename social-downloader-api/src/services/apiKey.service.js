@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../Logger/logger');
+const { AppError } = require('../utils/errors');
+const { getExtractors } = require('../extractors/registry');
+const { resolveUrl } = require('./urlResolver.service');
+
+/**
+ * API keys
+ * Keys live in a local JSON file, only their SHA-256 hash is stored
+ * Each key has its own rate limit, daily download and byte quotas and
+ * optionally a list of allowed platforms; usage resets at midnight UTC
+ */
+
+// Requests without a key are rejected when enabled
+const API_AUTH_ENABLED = process.env.API_AUTH_ENABLED === 'true';
+
+const API_KEYS_FILE = path.resolve(process.env.API_KEYS_FILE || './data/api-keys.json');
+const SAVE_DELAY_MS = 1000;
+
+// Defaults for new keys (see .env), null means unlimited
+const DEFAULT_LIMITS = {
+  rateLimitPerMinute: parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 60,
+  dailyDownloads: parseInt(process.env.API_KEY_DAILY_DOWNLOADS) || 100,
+  dailyBytes: (parseInt(process.env.API_KEY_DAILY_MB) || 5120) * 1024 * 1024
+};
+
+const KEY_PREFIX = 'sdk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// key hash -> key record
+const keysByHash = new Map();
+
+let saveTimer = null;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// INTERNAL HELPERS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const hashKey = (rawKey) => crypto.createHash('sha256').update(rawKey).digest('hex');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const nextResetAt = () => {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.toISOString();
+};
+
+/**
+ * Usage counters of the current UTC day (yesterday's are dropped on first use)
+ */
+const currentUsage = (record) => {
+  if (record.usage?.date !== today()) {
+    record.usage = { date: today(), requests: 0, downloads: 0, bytes: 0 };
+  }
+  return record.usage;
+};
+
+const findById = (id) => [...keysByHash.values()].find(record => record.id === id) || null;
+
+/**
+ * Public view of a key (never the hash)
+ */
+const serializeApiKey = (record) => ({
+  id: record.id,
+  name: record.name,
+  prefix: record.prefix,
+  rateLimitPerMinute: record.rateLimitPerMinute,
+  dailyDownloads: record.dailyDownloads,
+  dailyBytes: record.dailyBytes,
+  allowedPlatforms: record.allowedPlatforms,
+  createdAt: record.createdAt,
+  lastUsedAt: record.lastUsedAt,
+  revokedAt: record.revokedAt
+});
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// FILE STORE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const loadFromFile = () => {
+  if (!fs.existsSync(API_KEYS_FILE)) return;
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+    (saved.keys || []).forEach(record => keysByHash.set(record.hash, record));
+
+    logger.info(`Loaded ${keysByHash.size} API keys from ${API_KEYS_FILE}`);
+  } catch (error) {
+    logger.error(`Could not load API keys file: ${error.message}`);
+  }
+};
+
+/**
+ * Write the keys and their usage to API_KEYS_FILE shortly after the last change
+ */
+const scheduleSave = () => {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(async () => {
+    saveTimer = null;
+    const tempFile = `${API_KEYS_FILE}.tmp`;
+
+    try {
+      await fs.promises.mkdir(path.dirname(API_KEYS_FILE), { recursive: true });
+      await fs.promises.writeFile(tempFile, JSON.stringify({ keys: [...keysByHash.values()] }, null, 2), { mode: 0o600 });
+      await fs.promises.rename(tempFile, API_KEYS_FILE);
+    } catch (error) {
+      logger.warn(`Could not save API keys file: ${error.message}`);
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// KEY MANAGEMENT
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Create a key, the raw key is only returned here
+ * @param {Object} settings
+ * @param {string} settings.name - Who or what the key is for
+ * @param {number} settings.rateLimitPerMinute - Requests per minute
+ * @param {number|null} settings.dailyDownloads - Downloads per UTC day, null for unlimited
+ * @param {number|null} settings.dailyMB - Downloaded megabytes per UTC day, null for unlimited
+ * @param {string[]|null} settings.allowedPlatforms - Platform ids, null for every platform
+ * @returns {{key: string, apiKey: Object}}
+ */
+const createApiKey = ({ name, rateLimitPerMinute, dailyDownloads, dailyMB, allowedPlatforms = null }) => {
+  const known = getExtractors().map(extractor => extractor.name);
+  const unknown = (allowedPlatforms || []).filter(platform => !known.includes(platform));
+  if (unknown.length > 0) {
+    throw new AppError('VALIDATION_FAILED', 'Validation failed', [{
+      field: 'allowedPlatforms',
+      message: `Unknown platforms: ${unknown.join(', ')} (available: ${known.join(', ')})`
+    }]);
+  }
+
+  const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    prefix: rawKey.slice(0, DISPLAY_PREFIX_LENGTH),
+    hash: hashKey(rawKey),
+    rateLimitPerMinute: rateLimitPerMinute || DEFAULT_LIMITS.rateLimitPerMinute,
+    dailyDownloads: dailyDownloads === undefined ? DEFAULT_LIMITS.dailyDownloads : dailyDownloads,
+    dailyBytes: dailyMB === undefined
+      ? DEFAULT_LIMITS.dailyBytes
+      : dailyMB === null ? null : dailyMB * 1024 * 1024,
+    allowedPlatforms: allowedPlatforms?.length ? [...new Set(allowedPlatforms)] : null,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+    usage: null
+  };
+
+  keysByHash.set(record.hash, record);
+  scheduleSave();
+  logger.info(`API key created: ${record.name} (${record.prefix}...)`);
+
+  return { key: rawKey, apiKey: serializeApiKey(record) };
+};
+
+const listApiKeys = () => [...keysByHash.values()].map(record => ({
+  ...serializeApiKey(record),
+  usage: { ...currentUsage(record) }
+}));
+
+/**
+ * Revoke a key, it is kept in the store so its usage stays visible
+ */
+const revokeApiKey = (id) => {
+  const record = findById(id);
+  if (!record) throw new AppError('NOT_FOUND', `API key '${id}' not found`);
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    scheduleSave();
+    logger.info(`API key revoked: ${record.name} (${record.prefix}...)`);
+  }
+  return serializeApiKey(record);
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// MAIN PUBLIC FUNCTIONS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Active key record for a raw key, null for unknown or revoked keys
+ * Does not count the request
+ */
+const findApiKey = (rawKey) => {
+  const record = keysByHash.get(hashKey(String(rawKey)));
+  return record && !record.revokedAt ? record : null;
+};
+
+/**
+ * Key record for a raw key, counts the request
+ * Throws UNAUTHORIZED for unknown or revoked keys
+ */
+const authenticate = (rawKey) => {
+  const record = findApiKey(rawKey);
+
+  if (!record) {
+    throw new AppError('UNAUTHORIZED', 'Invalid or revoked API key');
+  }
+
+  currentUsage(record).requests++;
+  record.lastUsedAt = new Date().toISOString();
+  scheduleSave();
+  return record;
+};
+
+/**
+ * Check that a key may use the platform of a URL and, for downloads,
+ * that its daily quota is not used up. No-op for requests without a key
+ * The byte quota is soft: a download's size is only known once it finished,
+ * so the last download of a day can go over it by up to MAX_VIDEO_SIZE_MB
+ * @param {Object} apiKey - Record from authenticate(), undefined when auth is off
+ * @param {string} url - Media URL as submitted
+ * @param {Object} options
+ * @param {boolean} options.download - Also check the daily quota
+ */
+const authorizeMedia = async (apiKey, url, { download = false } = {}) => {
+  if (!apiKey) return;
+
+  if (apiKey.allowedPlatforms) {
+    const { platform } = await resolveUrl(url);
+    if (!apiKey.allowedPlatforms.includes(platform)) {
+      throw new AppError('PLATFORM_NOT_ALLOWED', `This API key is not allowed to use ${platform}`, {
+        allowedPlatforms: apiKey.allowedPlatforms
+      });
+    }
+  }
+
+  if (!download) return;
+
+  const usage = currentUsage(apiKey);
+  const downloadsLeft = apiKey.dailyDownloads === null || usage.downloads < apiKey.dailyDownloads;
+  const bytesLeft = apiKey.dailyBytes === null || usage.bytes < apiKey.dailyBytes;
+
+  if (!downloadsLeft || !bytesLeft) {
+    throw new AppError('QUOTA_EXCEEDED', `Daily ${downloadsLeft ? 'byte' : 'download'} quota of this API key is used up`, {
+      resetsAt: nextResetAt()
+    });
+  }
+};
+
+/**
+ * Add finished downloads to a key's daily usage. No-op without a key
+ * @param {Object} apiKey - Record from authenticate()
+ * @param {Object[]} results - Download results ({ filesize, files })
+ */
+const recordDownloads = (apiKey, results) => {
+  if (!apiKey || results.length === 0) return;
+
+  const usage = currentUsage(apiKey);
+  usage.downloads += results.length;
+  usage.bytes += results
+    .flatMap(result => result.files || [result])
+    .reduce((sum, file) => sum + (file.filesize || 0), 0);
+  scheduleSave();
+};
+
+/**
+ * Usage and remaining quota of a key for GET /usage
+ */
+const getUsage = (apiKey) => {
+  const usage = currentUsage(apiKey);
+  const remaining = (limit, used) => (limit === null ? null : Math.max(limit - used, 0));
+
+  return {
+    key: serializeApiKey(apiKey),
+    usage: { ...usage },
+    remaining: {
+      downloads: remaining(apiKey.dailyDownloads, usage.downloads),
+      bytes: remaining(apiKey.dailyBytes, usage.bytes)
+    },
+    resetsAt: nextResetAt()
+  };
+};
+
+const describeAuth = () => ({
+  required: API_AUTH_ENABLED,
+  headers: ['Authorization: Bearer <key>', 'X-API-Key: <key>'],
+  defaults: {
+    rateLimitPerMinute: DEFAULT_LIMITS.rateLimitPerMinute,
+    dailyDownloads: DEFAULT_LIMITS.dailyDownloads,
+    dailyMB: DEFAULT_LIMITS.dailyBytes / 1024 / 1024
+  }
+});
+
+loadFromFile();
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  authenticate,
+  authorizeMedia,
+  recordDownloads,
+  getUsage,
+  describeAuth,
+  API_AUTH_ENABLED
+};
@@ -0,0 +1,105 @@
+const logger = require('../Logger/logger');
+const { describeError } = require('../utils/errors');
+
+/**
+ * Batch requests
+ * Runs many analyze/download items with bounded concurrency and reports
+ * every item on its own, so one bad link never fails the whole batch
+ */
+
+// Most URLs accepted in one batch request
+const MAX_BATCH_URLS = parseInt(process.env.MAX_BATCH_URLS) || 50;
+
+// Items of one batch processed at the same time
+// (downloads are additionally limited by MAX_CONCURRENT_DOWNLOADS)
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 4;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// INTERNAL HELPERS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Call worker for every value, at most `limit` at a time, results in input order
+ */
+const mapWithConcurrency = async (values, limit, worker) => {
+  const results = new Array(values.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < values.length) {
+      const index = next++;
+      results[index] = await worker(values[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, values.length) }, lane));
+  return results;
+};
+
+/**
+ * Readable message for a failed zod parse
+ */
+const describeIssues = (error) => {
+  return error.issues
+    .map(issue => (issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message))
+    .join('; ');
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// MAIN PUBLIC FUNCTIONS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Run a batch of URLs
+ * @param {Array<string|Object>} urls - URL strings or { url, ...options }
+ * @param {Object} batch
+ * @param {Object} batch.defaults - Options applied to every item (per-URL options win)
+ * @param {ZodSchema} batch.schema - Validates each item, invalid items fail on their own
+ * @param {Function} batch.worker - (url, options) => result for a valid item
+ * @returns {Promise<{total, succeeded, failed, items}>}
+ */
+const runBatch = async (urls, { defaults = {}, schema, worker }) => {
+  logger.info(`Batch of ${urls.length} URLs started (${BATCH_CONCURRENCY} at a time)`);
+
+  const items = await mapWithConcurrency(urls, BATCH_CONCURRENCY, async (item, index) => {
+    const input = typeof item === 'string' ? { url: item } : item;
+    const parsed = schema.safeParse({ ...defaults, ...input });
+
+    if (!parsed.success) {
+      return {
+        index,
+        url: input.url ?? null,
+        status: 'failed',
+        error: describeIssues(parsed.error),
+        errorCode: 'VALIDATION_FAILED',
+        retryable: false
+      };
+    }
+
+    const { url, ...options } = parsed.data;
+
+    try {
+      const result = await worker(url, options);
+      return { index, url, status: 'done', result };
+    } catch (error) {
+      logger.warn(`Batch item ${index} failed (${url}): ${error.message}`);
+      return { index, url, status: 'failed', ...describeError(error) };
+    }
+  });
+
+  const succeeded = items.filter(item => item.status === 'done').length;
+  logger.info(`Batch finished: ${succeeded}/${items.length} succeeded`);
+
+  return {
+    total: items.length,
+    succeeded,
+    failed: items.length - succeeded,
+    items
+  };
+};
+
+module.exports = {
+  runBatch,
+  MAX_BATCH_URLS,
+  BATCH_CONCURRENCY
+};
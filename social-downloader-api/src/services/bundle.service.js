@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const logger = require('../Logger/logger');
+const { AppError } = require('../utils/errors');
+const { DOWNLOAD_DIR, sanitizeFilename } = require('./downloader.service');
+const { signBundleUrl } = require('./downloadLink.service');
+
+/**
+ * Zip bundles
+ * A bundle only records which downloaded files belong together; the zip
+ * (files + manifest.json) is built on the fly while it is streamed
+ */
+
+// How long a bundle link stays valid (files are still subject to cleanup)
+const BUNDLE_RETENTION_MS = (parseInt(process.env.BUNDLE_RETENTION_MINUTES) || 60) * 60 * 1000;
+
+const MANIFEST_NAME = 'manifest.json';
+
+// id -> { id, name, files, manifest, createdAt, expiresAt }
+const bundles = new Map();
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// INTERNAL HELPERS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Names inside the archive, a counter is added when two files share a name
+ */
+const uniqueEntryNames = (filenames) => {
+  const used = new Set([MANIFEST_NAME]);
+
+  return filenames.map(filename => {
+    const { name, ext } = path.parse(filename);
+    let entryName = filename;
+    for (let i = 2; used.has(entryName); i++) entryName = `${name}_${i}${ext}`;
+    used.add(entryName);
+    return entryName;
+  });
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// MAIN PUBLIC FUNCTIONS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Register a bundle of downloaded files
+ * @param {string} name - Base name of the zip file
+ * @param {Array<Object>} items - Download results, each with { filename } and metadata
+ * @param {Object} details - Extra manifest fields (source URL, platform...)
+ * @param {Object} options
+ * @param {boolean} options.singleUse - The signed link works for one download
+ * @returns {{id, filename, downloadUrl, fileCount, expiresAt}}
+ */
+const createBundle = (name, items, details = {}, { singleUse = false } = {}) => {
+  const id = crypto.randomUUID();
+  const filenames = items.map(item => item.filename);
+  const entryNames = uniqueEntryNames(filenames);
+  const now = Date.now();
+
+  const bundle = {
+    id,
+    name: `${sanitizeFilename(name) || 'bundle'}.zip`,
+    files: filenames.map((filename, i) => ({ filename, entryName: entryNames[i] })),
+    manifest: {
+      ...details,
+      createdAt: new Date(now).toISOString(),
+      fileCount: items.length,
+      files: items.map((item, i) => ({ ...item, path: entryNames[i] }))
+    },
+    createdAt: now,
+    expiresAt: now + BUNDLE_RETENTION_MS
+  };
+
+  bundles.set(id, bundle);
+  setTimeout(() => bundles.delete(id), BUNDLE_RETENTION_MS).unref();
+
+  logger.info(`Bundle ${id} created with ${items.length} files`);
+
+  return {
+    id,
+    filename: bundle.name,
+    downloadUrl: signBundleUrl(id, { expiresAt: bundle.expiresAt, singleUse }).downloadUrl,
+    fileCount: items.length,
+    expiresAt: new Date(bundle.expiresAt).toISOString()
+  };
+};
+
+/**
+ * Stream a bundle as a zip archive
+ * Throws before anything is written when the bundle or one of its files is gone
+ * @param {string} id - Bundle id
+ * @param {WritableStream} output - HTTP response
+ * @param {Function} onStart - Called with the zip filename right before streaming starts
+ */
+const streamBundle = (id, output, onStart) => {
+  const bundle = bundles.get(id);
+  if (!bundle) throw new AppError('BUNDLE_NOT_FOUND', `Bundle '${id}' not found or expired`);
+
+  const missing = bundle.files.filter(file => !fs.existsSync(path.join(DOWNLOAD_DIR, file.filename)));
+  if (missing.length > 0) {
+    throw new AppError('BUNDLE_EXPIRED', `Bundle files were removed: ${missing.map(file => file.filename).join(', ')}`);
+  }
+
+  // Media is already compressed, storing keeps the CPU free
+  const archive = archiver('zip', { store: true });
+
+  archive.on('warning', (error) => logger.warn(`Bundle ${id}: ${error.message}`));
+  archive.on('error', (error) => {
+    logger.error(`Bundle ${id} failed: ${error.message}`);
+    output.destroy(error);
+  });
+
+  onStart(bundle.name);
+  archive.pipe(output);
+
+  bundle.files.forEach(file => {
+    archive.file(path.join(DOWNLOAD_DIR, file.filename), { name: file.entryName });
+  });
+  archive.append(JSON.stringify(bundle.manifest, null, 2), { name: MANIFEST_NAME });
+
+  // Zip failures (e.g. a source file removed by cleanup mid-stream) reject finalize() as well
+  archive.finalize().catch((error) => {
+    logger.error(`Bundle ${id} failed: ${error.message}`);
+    output.destroy(error);
+  });
+  logger.info(`Streaming bundle ${id} (${bundle.files.length} files)`);
+};
+
+module.exports = {
+  createBundle,
+  streamBundle
+};
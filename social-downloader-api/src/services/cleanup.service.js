@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../Logger/logger');
+const { DOWNLOAD_DIR } = require('./downloader.service');
+
+// Cleanup settings (see .env)
+const AUTO_CLEANUP_ENABLED = process.env.AUTO_CLEANUP_ENABLED !== 'false';
+const CLEANUP_AGE_DAYS = parseFloat(process.env.CLEANUP_AGE_DAYS) || 7;
+const CLEANUP_AGE_MS = CLEANUP_AGE_DAYS * 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = (parseInt(process.env.CLEANUP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Optional total size quota for the downloads directory (0 = no quota)
+const DOWNLOADS_MAX_TOTAL_BYTES = (parseFloat(process.env.DOWNLOADS_MAX_TOTAL_MB) || 0) * 1024 * 1024;
+
+// Files still being written by yt-dlp
+const IN_PROGRESS_EXTENSIONS = ['.part', '.ytdl'];
+
+let cleanupTimer = null;
+
+// Called after every cleanup run, e.g. to forget removed files
+const cleanupListeners = [];
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// EXPIRY
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Human readable retention period, null when files never expire
+ */
+const describeRetention = () => {
+  if (!AUTO_CLEANUP_ENABLED) return null;
+
+  if (CLEANUP_AGE_DAYS >= 1) {
+    const days = Math.round(CLEANUP_AGE_DAYS * 10) / 10;
+    return `${days} ${days === 1 ? 'day' : 'days'}`;
+  }
+
+  const hours = Math.round(CLEANUP_AGE_DAYS * 24 * 10) / 10;
+  return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+};
+
+/**
+ * When a downloaded file will be removed, null when files never expire
+ */
+const getFileExpiry = (filename) => {
+  if (!AUTO_CLEANUP_ENABLED) return { expiresIn: null, expiresAt: null };
+
+  let createdAt = Date.now();
+  try {
+    createdAt = fs.statSync(path.join(DOWNLOAD_DIR, filename)).mtimeMs;
+  } catch (error) {
+    // File not written yet, count from now
+  }
+
+  return {
+    expiresIn: describeRetention(),
+    expiresAt: new Date(createdAt + CLEANUP_AGE_MS).toISOString()
+  };
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// CLEANUP
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const listDownloads = () => {
+  return fs.readdirSync(DOWNLOAD_DIR, { withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => {
+      const filePath = path.join(DOWNLOAD_DIR, entry.name);
+      const stat = fs.statSync(filePath);
+      return { name: entry.name, filePath, size: stat.size, mtimeMs: stat.mtimeMs };
+    });
+};
+
+const removeFile = (file, reason) => {
+  try {
+    fs.unlinkSync(file.filePath);
+    logger.info(`Cleanup removed ${file.name} (${reason})`);
+    return true;
+  } catch (error) {
+    logger.warn(`Cleanup could not remove ${file.name}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Delete expired files, then evict the oldest files until the quota is met
+ * @returns {{removed: number, freedBytes: number, remainingBytes: number}}
+ */
+const runCleanup = () => {
+  const now = Date.now();
+  let removed = 0;
+  let freedBytes = 0;
+
+  const remaining = [];
+  listDownloads().forEach(file => {
+    if (now - file.mtimeMs > CLEANUP_AGE_MS && removeFile(file, 'expired')) {
+      removed++;
+      freedBytes += file.size;
+    } else {
+      remaining.push(file);
+    }
+  });
+
+  let remainingBytes = remaining.reduce((total, file) => total + file.size, 0);
+
+  if (DOWNLOADS_MAX_TOTAL_BYTES > 0 && remainingBytes > DOWNLOADS_MAX_TOTAL_BYTES) {
+    const evictable = remaining
+      .filter(file => !IN_PROGRESS_EXTENSIONS.includes(path.extname(file.name)))
+      .sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+    for (const file of evictable) {
+      if (remainingBytes <= DOWNLOADS_MAX_TOTAL_BYTES) break;
+      if (removeFile(file, 'over quota')) {
+        removed++;
+        freedBytes += file.size;
+        remainingBytes -= file.size;
+      }
+    }
+  }
+
+  cleanupListeners.forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      logger.warn(`Cleanup listener failed: ${error.message}`);
+    }
+  });
+
+  if (removed > 0) {
+    logger.info(`Cleanup freed ${(freedBytes / (1024 * 1024)).toFixed(2)} MB (${removed} files)`);
+  }
+
+  return { removed, freedBytes, remainingBytes };
+};
+
+/**
+ * Run cleanup now and then every CLEANUP_INTERVAL_MINUTES
+ */
+const startCleanupScheduler = () => {
+  if (!AUTO_CLEANUP_ENABLED) {
+    logger.info('Auto cleanup disabled (AUTO_CLEANUP_ENABLED=false)');
+    return;
+  }
+  if (cleanupTimer) return;
+
+  const safeCleanup = () => {
+    try {
+      runCleanup();
+    } catch (error) {
+      logger.error(`Cleanup failed: ${error.message}`);
+    }
+  };
+
+  safeCleanup();
+  cleanupTimer = setInterval(safeCleanup, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+
+  logger.info(`Auto cleanup enabled: files older than ${describeRetention()} are removed every ${CLEANUP_INTERVAL_MS / 60000} minutes`);
+};
+
+const stopCleanupScheduler = () => {
+  clearInterval(cleanupTimer);
+  cleanupTimer = null;
+};
+
+/**
+ * Run a listener after every cleanup
+ */
+const onCleanup = (listener) => {
+  cleanupListeners.push(listener);
+};
+
+module.exports = {
+  runCleanup,
+  startCleanupScheduler,
+  stopCleanupScheduler,
+  onCleanup,
+  describeRetention,
+  getFileExpiry
+};
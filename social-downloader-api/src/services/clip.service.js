@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../Logger/logger');
+const { AppError } = require('../utils/errors');
+const { formatTimecode } = require('../utils/timecode');
+const { runFfmpeg } = require('./ffmpeg.runner');
+
+/**
+ * Clip trimming
+ * A "start"/"end" range is downloaded on its own where yt-dlp can do it
+ * ("range"), otherwise the full file is cut afterwards with ffmpeg ("trimmed").
+ * Cuts land on the nearest keyframe unless accurateCut asks for a re-encode
+ */
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// RANGE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const clipError = (field, message) => new AppError('VALIDATION_FAILED', 'Validation failed', [{ field, message }]);
+
+/**
+ * Check a requested range against the media duration
+ * @param {Object} options - Download options (start and end in seconds, accurateCut)
+ * @param {number|null} duration - Duration in seconds from getInfo
+ * @returns {{start: number, end: number, accurate: boolean}|null} null without start/end
+ */
+const resolveClip = ({ start, end, accurateCut = false }, duration) => {
+  if (start === undefined && end === undefined) return null;
+
+  if (!duration) {
+    throw clipError('start', 'This media has no known duration, it cannot be clipped');
+  }
+
+  const clipStart = start ?? 0;
+  const clipEnd = end ?? duration;
+
+  if (clipStart >= duration) {
+    throw clipError('start', `Start (${clipStart}s) must be before the end of the media (${duration}s)`);
+  }
+  if (clipEnd > duration) {
+    throw clipError('end', `End (${clipEnd}s) is past the end of the media (${duration}s)`);
+  }
+  if (clipEnd <= clipStart) {
+    throw clipError('end', `End (${clipEnd}s) must be after start (${clipStart}s)`);
+  }
+
+  return { start: clipStart, end: clipEnd, accurate: accurateCut };
+};
+
+/**
+ * "clip" field of a download result
+ * @param {Object} clip - resolveClip() result
+ * @param {string} method - "range" (only the range was downloaded) or "trimmed" (cut after the download)
+ */
+const describeClip = (clip, method) => ({
+  start: clip.start,
+  end: clip.end,
+  duration: Math.round((clip.end - clip.start) * 1000) / 1000,
+  method,
+  cut: clip.accurate ? 'reencoded' : 'keyframe'
+});
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// CUTTING
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * yt-dlp arguments that download only the range
+ * --force-keyframes-at-cuts re-encodes around the cut points for exact boundaries
+ */
+const buildClipArgs = (clip) => {
+  const args = ['--download-sections', `*${formatTimecode(clip.start)}-${formatTimecode(clip.end)}`];
+  if (clip.accurate) args.push('--force-keyframes-at-cuts');
+  return args;
+};
+
+/**
+ * Cut a downloaded file to the range in place
+ * Stream copy seeks to the keyframe before "start", a re-encode cuts on the exact frame
+ * @param {string} filePath - Absolute path of the full download
+ * @param {Object} clip - resolveClip() result
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops ffmpeg when the download is cancelled
+ * @returns {Promise<number>} Size of the cut file
+ */
+const trimFile = async (filePath, clip, { signal } = {}) => {
+  const { dir, name, ext } = path.parse(filePath);
+  const tempPath = path.join(dir, `${name}.clip${ext}`);
+  const range = ['-ss', formatTimecode(clip.start), '-to', formatTimecode(clip.end)];
+
+  // Input seeking is fast, output seeking decodes up to the exact start
+  const args = clip.accurate
+    ? ['-i', filePath, ...range, '-map', '0']
+    : [...range, '-i', filePath, '-map', '0', '-c', 'copy', '-avoid_negative_ts', 'make_zero'];
+
+  try {
+    await runFfmpeg([...args, '-y', tempPath], { signal });
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    fs.unlink(tempPath, () => {});
+    fs.unlink(filePath, () => {});
+    throw error;
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+  logger.info(`Trimmed ${path.basename(filePath)} to ${formatTimecode(clip.start)}-${formatTimecode(clip.end)}`);
+  return size;
+};
+
+module.exports = {
+  resolveClip,
+  describeClip,
+  buildClipArgs,
+  trimFile
+};
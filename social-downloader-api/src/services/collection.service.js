@@ -0,0 +1,197 @@
+const logger = require('../Logger/logger');
+const { runYtDlp } = require('./ytdlp.runner');
+const { getCachedInfo } = require('./infoCache.service');
+const { runDownload } = require('./job.service');
+const { formatDuration } = require('./downloader.service');
+const { findExtractor } = require('../extractors/registry');
+const { AppError, describeError } = require('../utils/errors');
+
+/**
+ * Playlists, channels and profiles
+ * Entries are listed with yt-dlp --flat-playlist (no per-video requests)
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Most entries a single bulk download may select
+const MAX_BULK_ITEMS = parseInt(process.env.MAX_BULK_ITEMS) || 50;
+
+// How many entries are scanned when items are selected by id
+const ID_SCAN_LIMIT = 1000;
+
+const badRequest = (message) => new AppError('VALIDATION_FAILED', message);
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// COLLECTION DETECTION
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Collection type of a URL: { platform, type } or null for single media
+ * Each extractor that supports collections parses its own URLs
+ */
+const detectCollection = (url) => {
+  const extractor = findExtractor(url);
+  if (!extractor?.detectCollection) return null;
+
+  const type = extractor.detectCollection(new URL(url));
+  return type ? { platform: extractor.name, type } : null;
+};
+
+const isCollectionUrl = (url) => detectCollection(url) !== null;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// LISTING
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const normalizeEntry = (entry, index) => ({
+  index,
+  id: entry.id || null,
+  url: entry.url || entry.webpage_url || null,
+  title: entry.title || 'Unknown',
+  duration: entry.duration || null,
+  durationFormatted: formatDuration(entry.duration),
+  thumbnail: entry.thumbnails?.[entry.thumbnails.length - 1]?.url || entry.thumbnail || null,
+  uploader: entry.uploader || entry.channel || null,
+  views: entry.view_count || null
+});
+
+/**
+ * Flat listing of the entries selected by a yt-dlp --playlist-items spec
+ */
+const fetchEntries = (url, playlistItems) => {
+  return getCachedInfo(`collection:${playlistItems}`, url, async () => {
+    const { stdout } = await runYtDlp([
+      '--flat-playlist', '--dump-single-json', '--no-warnings',
+      '--playlist-items', playlistItems,
+      '--', url
+    ], { timeout: 120000 });
+
+    return JSON.parse(stdout);
+  });
+};
+
+/**
+ * One page of a playlist, channel or profile with per-entry metadata
+ * @param {string} url - Collection URL
+ * @param {Object} paging - { page (1-based), pageSize }
+ */
+const getCollection = async (url, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) => {
+  const collection = detectCollection(url);
+  if (!collection) throw badRequest('URL is not a playlist, channel or profile');
+
+  pageSize = Math.min(pageSize, MAX_PAGE_SIZE);
+  const start = (page - 1) * pageSize + 1;
+  const end = start + pageSize - 1;
+
+  logger.info(`Listing ${collection.platform} ${collection.type} entries ${start}-${end}: ${url}`);
+  const info = await fetchEntries(url, `${start}:${end}`);
+  const entries = (info.entries || []).map((entry, i) => normalizeEntry(entry, start + i));
+  const totalEntries = info.playlist_count ?? null;
+
+  return {
+    platform: collection.platform,
+    type: collection.type,
+    id: info.id || null,
+    title: info.title || 'Unknown',
+    uploader: info.uploader || info.channel || null,
+    thumbnail: info.thumbnails?.[info.thumbnails.length - 1]?.url || null,
+    webpage_url: url,
+    totalEntries,
+    page,
+    pageSize,
+    hasMore: totalEntries !== null ? end < totalEntries : entries.length === pageSize,
+    entries
+  };
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// BULK DOWNLOAD
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Entries picked by "items" (1-based indexes or entry ids) or a "from"/"to" range of indexes
+ * Ids that are not found come back as { id, missing: true }
+ */
+const selectEntries = async (url, { items, from, to }) => {
+  if (items?.length) {
+    if (items.length > MAX_BULK_ITEMS) {
+      throw badRequest(`At most ${MAX_BULK_ITEMS} entries can be downloaded at once`);
+    }
+
+    const indexes = [...new Set(items.filter(item => typeof item === 'number'))];
+    const ids = [...new Set(items.filter(item => typeof item === 'string'))];
+    const selected = [];
+
+    if (indexes.length > 0) {
+      const info = await fetchEntries(url, indexes.join(','));
+      // yt-dlp returns the requested entries in playlist order
+      const sorted = [...indexes].sort((a, b) => a - b);
+      (info.entries || []).forEach((entry, i) => selected.push(normalizeEntry(entry, sorted[i])));
+    }
+
+    if (ids.length > 0) {
+      const info = await fetchEntries(url, `1:${ID_SCAN_LIMIT}`);
+      const all = (info.entries || []).map((entry, i) => normalizeEntry(entry, i + 1));
+      ids.forEach(id => selected.push(all.find(entry => entry.id === id) || { id, missing: true }));
+    }
+
+    return selected;
+  }
+
+  if (!from) throw badRequest('Select entries with "items" or a "from"/"to" range');
+
+  const last = to || from + MAX_BULK_ITEMS - 1;
+  if (last < from) throw badRequest('"to" must not be before "from"');
+  if (last - from + 1 > MAX_BULK_ITEMS) {
+    throw badRequest(`At most ${MAX_BULK_ITEMS} entries can be downloaded at once`);
+  }
+
+  const info = await fetchEntries(url, `${from}:${last}`);
+  return (info.entries || []).map((entry, i) => normalizeEntry(entry, from + i));
+};
+
+/**
+ * Download selected entries of a collection through the job queue
+ * Every entry gets its own status, one failure never fails the whole call
+ * The other options (clip times included) apply to every entry
+ */
+const downloadCollection = async (url, { items, from, to, ...options } = {}) => {
+  const collection = detectCollection(url);
+  if (!collection) throw badRequest('URL is not a playlist, channel or profile');
+
+  const entries = await selectEntries(url, { items, from, to });
+  logger.info(`Bulk download of ${entries.length} ${collection.type} entries: ${url}`);
+
+  const results = await Promise.all(entries.map(async (entry) => {
+    if (entry.missing || !entry.url) {
+      return { ...entry, status: 'failed', error: 'Entry not found in collection', errorCode: 'MEDIA_NOT_FOUND', retryable: false };
+    }
+
+    try {
+      const result = await runDownload(entry.url, options);
+      return { ...entry, status: 'done', result };
+    } catch (error) {
+      return { ...entry, status: 'failed', ...describeError(error) };
+    }
+  }));
+
+  return {
+    platform: collection.platform,
+    type: collection.type,
+    total: results.length,
+    succeeded: results.filter(item => item.status === 'done').length,
+    failed: results.filter(item => item.status === 'failed').length,
+    items: results
+  };
+};
+
+module.exports = {
+  detectCollection,
+  isCollectionUrl,
+  getCollection,
+  downloadCollection,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_BULK_ITEMS
+};
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../Logger/logger');
+const { downloadMedia, resolveMediaId, DOWNLOAD_DIR } = require('./downloader.service');
+const { getFileExpiry, onCleanup } = require('./cleanup.service');
+const { DEFAULT_AUDIO_CODEC, DEFAULT_AUDIO_BITRATE } = require('../utils/formats');
+const { DEFAULT_SUBTITLE_FORMAT } = require('../utils/subtitles');
+const { AppError } = require('../utils/errors');
+
+// Set DOWNLOAD_CACHE_ENABLED=false to always download again
+const DOWNLOAD_CACHE_ENABLED = process.env.DOWNLOAD_CACHE_ENABLED !== 'false';
+
+// Most finished downloads remembered, the least recently used is dropped first
+const DOWNLOAD_CACHE_MAX_ENTRIES = parseInt(process.env.DOWNLOAD_CACHE_MAX_ENTRIES) || 1000;
+
+// key -> finished download result, in least recently used order
+const entries = new Map();
+
+// key -> download shared by identical requests
+const inflight = new Map();
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  shared: 0
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// INTERNAL HELPERS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Options that change the produced file, with defaults filled in so an
+ * omitted option and its explicit default give the same key
+ */
+const normalizeCacheOptions = (options = {}) => {
+  const isAudio = options.format === 'audio';
+  const { subtitles } = options;
+
+  return {
+    quality: options.quality ?? null,
+    formatId: options.formatId ?? null,
+    format: isAudio ? 'audio' : 'video',
+    audioCodec: isAudio ? options.audioCodec || DEFAULT_AUDIO_CODEC : null,
+    audioBitrate: isAudio ? options.audioBitrate || DEFAULT_AUDIO_BITRATE : null,
+    subtitles: subtitles
+      ? {
+        languages: subtitles.languages,
+        format: subtitles.format || DEFAULT_SUBTITLE_FORMAT,
+        embed: Boolean(subtitles.embed),
+        auto: Boolean(subtitles.auto)
+      }
+      : null,
+    start: options.start ?? null,
+    end: options.end ?? null,
+    accurateCut: Boolean(options.accurateCut),
+    postprocess: options.postprocess?.length ? options.postprocess : null,
+    watermark: Boolean(options.watermark)
+  };
+};
+
+/**
+ * Cache key: hash of platform, media id and the options that affect the file
+ */
+const buildCacheKey = (platform, mediaId, options = {}) => {
+  const keyData = { platform, mediaId, ...normalizeCacheOptions(options) };
+  return crypto.createHash('sha256').update(JSON.stringify(keyData)).digest('hex');
+};
+
+/**
+ * True when one of an entry's files was removed or has expired
+ */
+const isStale = (entry) => {
+  const missing = (entry.files || [entry]).some(file => !fs.existsSync(path.join(DOWNLOAD_DIR, file.filename)));
+  if (missing) return true;
+
+  const { expiresAt } = getFileExpiry(entry.filename);
+  return Boolean(expiresAt) && new Date(expiresAt).getTime() <= Date.now();
+};
+
+/**
+ * Remember a finished download, evicting the least recently used entries
+ */
+const remember = (key, result) => {
+  entries.delete(key);
+  entries.set(key, result);
+
+  while (entries.size > DOWNLOAD_CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+/**
+ * Cached result for a key, dropped when it is stale
+ */
+const lookup = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return null;
+
+  if (isStale(entry)) {
+    entries.delete(key);
+    return null;
+  }
+
+  remember(key, entry);
+  return entry;
+};
+
+/**
+ * Start a download shared by every identical request
+ * The shared download is only cancelled once all of its waiters cancelled
+ */
+const startShared = (key, url, options) => {
+  const shared = {
+    controller: new AbortController(),
+    waiters: new Set()
+  };
+
+  shared.promise = downloadMedia(url, {
+    ...options,
+    signal: shared.controller.signal,
+    onProgress: (progress) => shared.waiters.forEach(waiter => waiter.onProgress?.(progress))
+  })
+    .then(result => {
+      remember(key, result);
+      return result;
+    })
+    .finally(() => inflight.delete(key));
+
+  inflight.set(key, shared);
+  return shared;
+};
+
+/**
+ * Wait for a shared download, rejecting early when this waiter is cancelled
+ */
+const joinShared = (shared, { signal, onProgress }) => {
+  const waiter = { onProgress };
+  shared.waiters.add(waiter);
+
+  return new Promise((resolve, reject) => {
+    const leave = () => {
+      shared.waiters.delete(waiter);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    const onAbort = () => {
+      leave();
+      if (shared.waiters.size === 0) shared.controller.abort();
+      reject(new AppError('CANCELLED', 'Download cancelled'));
+    };
+
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    shared.promise.then(
+      result => { leave(); resolve(result); },
+      error => { leave(); reject(error); }
+    );
+  });
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// MAIN PUBLIC FUNCTIONS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * downloadMedia with a content-addressed cache in front of it
+ * Returns the existing file for a cache hit (cached: true) and shares one
+ * download between identical requests that arrive while it is running
+ */
+const downloadWithCache = async (url, options = {}) => {
+  if (!DOWNLOAD_CACHE_ENABLED) {
+    return { ...(await downloadMedia(url, options)), cached: false };
+  }
+
+  const { platform, mediaId } = await resolveMediaId(url);
+  const key = buildCacheKey(platform, mediaId, options);
+
+  const entry = lookup(key);
+  if (entry) {
+    stats.hits++;
+    logger.info(`Download cache hit: ${entry.filename}`);
+    return { ...entry, cached: true };
+  }
+
+  let shared = inflight.get(key);
+  if (shared) {
+    stats.shared++;
+    logger.info(`Joining running download for ${platform}:${mediaId}`);
+  } else {
+    stats.misses++;
+    shared = startShared(key, url, options);
+  }
+
+  const result = await joinShared(shared, options);
+  return { ...result, cached: false };
+};
+
+/**
+ * Drop entries whose file was removed or has expired
+ * Runs after every cleanup, so entries never outlive their files for long
+ * @returns {number} Number of entries dropped
+ */
+const pruneDownloadCache = () => {
+  let dropped = 0;
+  entries.forEach((entry, key) => {
+    if (isStale(entry)) {
+      entries.delete(key);
+      dropped++;
+    }
+  });
+  return dropped;
+};
+
+onCleanup(pruneDownloadCache);
+
+const getDownloadCacheStats = () => ({
+  enabled: DOWNLOAD_CACHE_ENABLED,
+  entries: entries.size,
+  maxEntries: DOWNLOAD_CACHE_MAX_ENTRIES,
+  inflight: inflight.size,
+  ...stats
+});
+
+module.exports = {
+  downloadWithCache,
+  buildCacheKey,
+  pruneDownloadCache,
+  getDownloadCacheStats
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../Logger/logger');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Signed download links
+ * Files in DOWNLOAD_DIR are only reachable through /api/v1/files/:filename
+ * with an HMAC signature over the filename, expiry and optional single-use nonce
+ * Bundles (/api/v1/bundles/:id) are signed the same way over "bundles/<id>"
+ */
+
+// Links signed with a random secret stop working when the server restarts
+const LINK_SECRET = process.env.DOWNLOAD_LINK_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.DOWNLOAD_LINK_SECRET) {
+  logger.warn('DOWNLOAD_LINK_SECRET is not set, download links will not survive a restart');
+}
+
+// How long a download link stays valid
+const LINK_TTL_MS = (parseInt(process.env.DOWNLOAD_LINK_TTL_MINUTES) || 60) * 60 * 1000;
+
+const FILES_PATH = '/api/v1/files';
+const BUNDLES_PATH = '/api/v1/bundles';
+
+// nonce of a single-use link -> { size, ranges: [[start, end]] } of the bytes it served
+// (forgotten once the link expired)
+const servedNonces = new Map();
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// INTERNAL HELPERS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const computeSignature = (filename, expires, nonce) => {
+  return crypto
+    .createHmac('sha256', LINK_SECRET)
+    .update(`${filename}\n${expires}\n${nonce || ''}`)
+    .digest('hex');
+};
+
+const signaturesMatch = (expected, actual) => {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(actual || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * True once the served ranges of a single-use link cover the whole file
+ */
+const isFullyServed = ({ size, ranges }) => {
+  let next = 0;
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      if (start <= next) next = Math.max(next, end + 1);
+    });
+  return next >= size;
+};
+
+const linkUsedError = () => new AppError('LINK_USED', 'Single-use download link was already used');
+
+/**
+ * Signed query string for a resource (file name or "bundles/<id>")
+ */
+const signResource = (resource, expiresAtMs, singleUse) => {
+  const expires = Math.floor(expiresAtMs / 1000);
+  const nonce = singleUse ? crypto.randomBytes(12).toString('hex') : null;
+  const params = new URLSearchParams({ expires: String(expires) });
+
+  if (nonce) params.set('once', nonce);
+  params.set('sig', computeSignature(resource, expires, nonce));
+
+  return { query: params.toString(), linkExpiresAt: new Date(expires * 1000).toISOString() };
+};
+
+/**
+ * Check the signature, expiry and single-use state of a resource link
+ */
+const verifyResource = (resource, { expires, sig, once } = {}) => {
+  const expiresAt = parseInt(expires);
+
+  if (!Number.isFinite(expiresAt) || !signaturesMatch(computeSignature(resource, expiresAt, once), sig)) {
+    throw new AppError('LINK_INVALID', 'Download link is invalid');
+  }
+  if (expiresAt * 1000 <= Date.now()) {
+    throw new AppError('LINK_EXPIRED', 'Download link has expired, download the media again for a new one');
+  }
+  if (once && servedNonces.has(once) && isFullyServed(servedNonces.get(once))) {
+    throw linkUsedError();
+  }
+
+  return { nonce: once || null, expiresAt: expiresAt * 1000 };
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// MAIN PUBLIC FUNCTIONS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Signed link to a downloaded file
+ * @param {string} filename - File name inside DOWNLOAD_DIR
+ * @param {Object} options
+ * @param {boolean} options.singleUse - Every byte of the file is sent at most once through the link
+ * @returns {{downloadUrl: string, linkExpiresAt: string}}
+ */
+const signDownloadUrl = (filename, { singleUse = false } = {}) => {
+  const { query, linkExpiresAt } = signResource(filename, Date.now() + LINK_TTL_MS, singleUse);
+
+  return {
+    downloadUrl: `${FILES_PATH}/${encodeURIComponent(filename)}?${query}`,
+    linkExpiresAt
+  };
+};
+
+/**
+ * Signed link to a zip bundle, valid as long as the bundle
+ * @param {string} id - Bundle id
+ * @param {Object} options
+ * @param {number} options.expiresAt - Expiry of the bundle (ms)
+ * @param {boolean} options.singleUse - The zip can be downloaded once
+ * @returns {{downloadUrl: string, linkExpiresAt: string}}
+ */
+const signBundleUrl = (id, { expiresAt, singleUse = false }) => {
+  const { query, linkExpiresAt } = signResource(`bundles/${id}`, expiresAt, singleUse);
+
+  return {
+    downloadUrl: `${BUNDLES_PATH}/${encodeURIComponent(id)}?${query}`,
+    linkExpiresAt
+  };
+};
+
+/**
+ * Download result with signed links for the primary file and every entry of "files"
+ */
+const signDownloadResult = (result, options = {}) => {
+  const files = (result.files || [result]).map(({ filename, filesize, ...details }) => ({
+    filename,
+    ...signDownloadUrl(filename, options),
+    filesize,
+    ...details // type and language of subtitle files
+  }));
+
+  return {
+    ...result,
+    downloadUrl: files[0].downloadUrl,
+    linkExpiresAt: files[0].linkExpiresAt,
+    files
+  };
+};
+
+/**
+ * Check a signed link, throws LINK_INVALID / LINK_EXPIRED / LINK_USED
+ * @param {string} filename - Decoded :filename route parameter
+ * @param {Object} query - { expires, sig, once }
+ * @returns {{nonce: string|null, expiresAt: number}}
+ */
+const verifyDownloadUrl = (filename, query = {}) => {
+  // Signed names are plain file names, never paths
+  if (!filename || path.basename(filename) !== filename) {
+    throw new AppError('LINK_INVALID', 'Download link is invalid');
+  }
+
+  return verifyResource(filename, query);
+};
+
+/**
+ * Check a signed bundle link, throws LINK_INVALID / LINK_EXPIRED / LINK_USED
+ * @param {string} id - :id route parameter
+ * @param {Object} query - { expires, sig, once }
+ * @returns {{nonce: string|null, expiresAt: number}}
+ */
+const verifyBundleUrl = (id, query = {}) => verifyResource(`bundles/${id}`, query);
+
+/**
+ * Reserve a byte range of a single-use link before any of it is sent
+ * Ranges already sent (or being sent) by another request throw LINK_USED, so
+ * parallel downloads cannot share a link while players can still seek and resume
+ * @param {string} nonce - Nonce of the link
+ * @param {number} expiresAt - Expiry of the link (ms)
+ * @param {{start: number, end: number}} range - Requested bytes, inclusive
+ * @param {number} size - File size in bytes
+ * @returns {Function} settle(sentBytes, servedStart) - Shrinks the reservation to the bytes actually sent
+ */
+const claimRange = (nonce, expiresAt, { start, end }, size) => {
+  let entry = servedNonces.get(nonce);
+  if (!entry) {
+    entry = { size, ranges: [] };
+    servedNonces.set(nonce, entry);
+    setTimeout(() => servedNonces.delete(nonce), Math.max(expiresAt - Date.now(), 0)).unref();
+  }
+
+  if (isFullyServed(entry) || entry.ranges.some(([s, e]) => s <= end && e >= start)) {
+    throw linkUsedError();
+  }
+
+  const range = [start, end];
+  entry.ranges.push(range);
+
+  return (sentBytes, servedStart = start) => {
+    if (sentBytes > 0) {
+      range[0] = servedStart;
+      range[1] = servedStart + sentBytes - 1;
+    } else {
+      entry.ranges.splice(entry.ranges.indexOf(range), 1);
+    }
+  };
+};
+
+const describeLinks = () => ({
+  ttlMinutes: LINK_TTL_MS / 60000,
+  singleUse: 'optional ("singleUse": true, every byte is sent once)'
+});
+
+module.exports = {
+  signDownloadUrl,
+  signDownloadResult,
+  signBundleUrl,
+  verifyDownloadUrl,
+  verifyBundleUrl,
+  claimRange,
+  describeLinks,
+  LINK_TTL_MS
+};
@@ -0,0 +1,133 @@
+const { spawn } = require('child_process');
+const logger = require('../Logger/logger');
+const { AppError } = require('../utils/errors');
+
+/**
+ * ffmpeg runner
+ * Spawns ffmpeg and ffprobe with an argument array (never through a shell) for
+ * the processing yt-dlp does not do itself, failures become typed errors
+ */
+
+const FFMPEG_BINARY = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_BINARY = process.env.FFPROBE_PATH || 'ffprobe';
+const DEFAULT_TIMEOUT_MS = 300000;
+const PROBE_TIMEOUT_MS = 30000;
+
+// Only the end of stderr is kept, ffmpeg prints a status line per frame batch
+const MAX_STDERR_LINES = 50;
+
+class FfmpegError extends AppError {
+  constructor(message, { code = 'FFMPEG_FAILED', exitCode = null, stderr = '' } = {}) {
+    super(code, message);
+    this.name = 'FfmpegError';
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+  }
+}
+
+/**
+ * Run ffmpeg or ffprobe, stdout is collected for ffprobe's JSON
+ */
+const runTool = (binary, tool, args, { timeout = DEFAULT_TIMEOUT_MS, signal } = {}) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new FfmpegError(`${tool} was cancelled`, { code: 'CANCELLED' }));
+
+    logger.info(`Running: ${binary} ${args.join(' ')}`);
+
+    const child = spawn(binary, args, { shell: false, windowsHide: true });
+    const stdoutChunks = [];
+    let stderrLines = [];
+    let pending = '';
+    let failure = null;
+    let settled = false;
+
+    const kill = (error) => {
+      if (failure) return;
+      failure = error;
+      child.kill('SIGKILL');
+    };
+
+    const timer = setTimeout(() => {
+      kill(new FfmpegError(`${tool} timed out after ${Math.round(timeout / 1000)} seconds`, { code: 'TIMEOUT' }));
+    }, timeout);
+    const onAbort = () => kill(new FfmpegError(`${tool} was cancelled`, { code: 'CANCELLED' }));
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const settle = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    child.stdout.on('data', chunk => stdoutChunks.push(chunk));
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      const lines = (pending + chunk).split(/\r?\n/);
+      pending = lines.pop();
+      stderrLines = [...stderrLines, ...lines.filter(Boolean)].slice(-MAX_STDERR_LINES);
+    });
+
+    child.on('error', (error) => {
+      settle(error.code === 'ENOENT'
+        ? new FfmpegError(`${tool} is not installed. Install ffmpeg from https://ffmpeg.org or your package manager`, { code: 'DEPENDENCY_MISSING' })
+        : new FfmpegError(error.message));
+    });
+
+    child.on('close', (exitCode) => {
+      if (pending) stderrLines.push(pending);
+      const stderr = stderrLines.join('\n');
+      stderrLines.forEach(line => logger.warn(`[${tool}] ${line}`));
+
+      if (failure) return settle(failure);
+      if (exitCode !== 0) {
+        return settle(new FfmpegError(stderrLines[stderrLines.length - 1] || `${tool} exited with code ${exitCode}`, { exitCode, stderr }));
+      }
+      settle(null, { stdout: Buffer.concat(stdoutChunks).toString('utf8'), stderr });
+    });
+  });
+};
+
+/**
+ * Run ffmpeg with the given arguments
+ * @param {string[]} args - ffmpeg arguments ("-hide_banner", "-nostdin" and "-loglevel error" are added)
+ * @param {Object} options
+ * @param {number} options.timeout - Kill the process after this many ms
+ * @param {AbortSignal} options.signal - Kill the process when aborted
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+const runFfmpeg = (args, options = {}) => {
+  return runTool(FFMPEG_BINARY, 'ffmpeg', ['-hide_banner', '-nostdin', '-loglevel', 'error', ...args], options);
+};
+
+/**
+ * Duration and first video/audio stream of a media file
+ * @returns {Promise<{duration, videoCodec, audioCodec, width, height}>}
+ */
+const probeMedia = async (filePath, { signal } = {}) => {
+  const { stdout } = await runTool(FFPROBE_BINARY, 'ffprobe', [
+    '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath
+  ], { timeout: PROBE_TIMEOUT_MS, signal });
+
+  const probe = JSON.parse(stdout || '{}');
+  const streams = probe.streams || [];
+  // Cover art is stored as a video stream with a single frame
+  const video = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+
+  return {
+    duration: parseFloat(probe.format?.duration) || null,
+    videoCodec: video?.codec_name || null,
+    audioCodec: audio?.codec_name || null,
+    width: video?.width || null,
+    height: video?.height || null
+  };
+};
+
+module.exports = {
+  runFfmpeg,
+  probeMedia,
+  FfmpegError
+};
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../Logger/logger');
+const { AppError, describeError } = require('../utils/errors');
+const { resolveUrl } = require('./urlResolver.service');
+
+/**
+ * Download history
+ * Every analyze and download (including failures) is kept in a local JSON
+ * file so it can be searched and downloaded again later
+ */
+
+const HISTORY_ENABLED = process.env.HISTORY_ENABLED !== 'false';
+const HISTORY_FILE = path.resolve(process.env.HISTORY_FILE || './data/history.json');
+
+// Oldest entries are dropped over this limit
+const HISTORY_MAX_ENTRIES = parseInt(process.env.HISTORY_MAX_ENTRIES) || 5000;
+const SAVE_DELAY_MS = 1000;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_HISTORY_PAGE_SIZE = 100;
+
+// Download options worth replaying on a re-download
+const REPLAYED_OPTIONS = ['quality', 'formatId', 'format', 'audioCodec', 'audioBitrate', 'subtitles', 'start', 'end', 'accurateCut', 'postprocess', 'watermark'];
+
+// Oldest first
+const entries = [];
+
+let saveTimer = null;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// FILE STORE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const loadFromFile = () => {
+  if (!HISTORY_ENABLED || !fs.existsSync(HISTORY_FILE)) return;
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+    entries.push(...(saved.entries || []).slice(-HISTORY_MAX_ENTRIES));
+
+    logger.info(`Loaded ${entries.length} history entries from ${HISTORY_FILE}`);
+  } catch (error) {
+    logger.warn(`Could not load history file: ${error.message}`);
+  }
+};
+
+/**
+ * Write the history to HISTORY_FILE shortly after the last change
+ */
+const scheduleSave = () => {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(async () => {
+    saveTimer = null;
+    const tempFile = `${HISTORY_FILE}.tmp`;
+
+    try {
+      await fs.promises.mkdir(path.dirname(HISTORY_FILE), { recursive: true });
+      await fs.promises.writeFile(tempFile, JSON.stringify({ entries }));
+      await fs.promises.rename(tempFile, HISTORY_FILE);
+    } catch (error) {
+      logger.warn(`Could not save history file: ${error.message}`);
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// INTERNAL HELPERS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const pickOptions = (options = {}) => Object.fromEntries(
+  REPLAYED_OPTIONS.filter(key => options[key] !== undefined).map(key => [key, options[key]])
+);
+
+/**
+ * Entries visible to a caller: its own with an API key, the keyless ones without
+ */
+const isVisibleTo = (entry, apiKey) => entry.apiKeyId === (apiKey?.id || null);
+
+/**
+ * Public view of an entry (without the owning key)
+ */
+const serializeEntry = ({ apiKeyId, ...entry }) => entry;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// MAIN PUBLIC FUNCTIONS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Add a finished analyze or download to the history
+ * URLs without a canonical form in the result (failures) are resolved here
+ * @param {Object} record
+ * @param {string} record.action - "analyze" or "download"
+ * @param {string} record.url - URL as submitted
+ * @param {Object} record.apiKey - Caller's key record, if any
+ * @param {Object} record.options - Download options, replayed on re-download
+ * @param {Object} record.result - Analyze or download result (title, filename, ...)
+ * @param {Object} record.failure - { error, errorCode } when it failed
+ * @param {string} record.startedAt - ISO timestamp, defaults to now
+ */
+const recordHistory = async (record) => {
+  if (!HISTORY_ENABLED) return;
+
+  const { action, url, apiKey, options, failure = null, startedAt } = record;
+  const finishedAt = new Date().toISOString();
+  const result = record.result || {};
+
+  let resolved = { platform: result.platform, mediaId: result.mediaId, canonicalUrl: result.canonicalUrl };
+  if (!resolved.canonicalUrl) {
+    resolved = await resolveUrl(url).catch(() => resolved);
+  }
+
+  entries.push({
+    id: crypto.randomUUID(),
+    action,
+    status: !failure ? 'done' : failure.errorCode === 'CANCELLED' ? 'cancelled' : 'failed',
+    url,
+    canonicalUrl: resolved.canonicalUrl || null,
+    mediaId: resolved.mediaId || null,
+    platform: result.platform || resolved.platform || null,
+    title: result.title || null,
+    uploader: result.uploader || null,
+    filename: result.filename || null,
+    filesize: result.filesize ?? null,
+    format: action === 'download' ? result.format || options?.format || 'video' : null,
+    options: pickOptions(options),
+    errorCode: failure?.errorCode || null,
+    error: failure?.error || null,
+    apiKeyId: apiKey?.id || null,
+    createdAt: startedAt || finishedAt,
+    finishedAt
+  });
+
+  if (entries.length > HISTORY_MAX_ENTRIES) {
+    entries.splice(0, entries.length - HISTORY_MAX_ENTRIES);
+  }
+  scheduleSave();
+};
+
+/**
+ * Run an analyze or download and record its outcome, the result or error is passed through
+ * @param {Object} record - recordHistory() fields except result, failure and startedAt
+ * @param {Function} task - Returns the result
+ */
+const trackHistory = async (record, task) => {
+  const startedAt = new Date().toISOString();
+
+  try {
+    const result = await task();
+    recordHistory({ ...record, result, startedAt }).catch(error => logger.warn(`History error: ${error.message}`));
+    return result;
+  } catch (error) {
+    recordHistory({ ...record, failure: describeError(error), startedAt })
+      .catch(historyError => logger.warn(`History error: ${historyError.message}`));
+    throw error;
+  }
+};
+
+/**
+ * Newest first, filtered and paged
+ * @param {Object} filters - platform, status, action, from, to (Dates), q (title search), page, pageSize
+ * @param {Object} apiKey - Only this key's entries when set
+ */
+const listHistory = ({ platform, status, action, from, to, q, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}, apiKey) => {
+  const search = q?.toLowerCase();
+
+  const matches = entries.filter(entry => {
+    if (!isVisibleTo(entry, apiKey)) return false;
+    if (platform && entry.platform !== platform) return false;
+    if (status && entry.status !== status) return false;
+    if (action && entry.action !== action) return false;
+    if (from && new Date(entry.createdAt) < from) return false;
+    if (to && new Date(entry.createdAt) > to) return false;
+    if (search && !(entry.title || '').toLowerCase().includes(search)) return false;
+    return true;
+  }).reverse();
+
+  const start = (page - 1) * pageSize;
+
+  return {
+    totalEntries: matches.length,
+    page,
+    pageSize,
+    hasMore: start + pageSize < matches.length,
+    entries: matches.slice(start, start + pageSize).map(serializeEntry)
+  };
+};
+
+/**
+ * One entry, NOT_FOUND when unknown or owned by another key
+ */
+const getHistoryEntry = (id, apiKey) => {
+  const entry = entries.find(candidate => candidate.id === id);
+
+  if (!entry || !isVisibleTo(entry, apiKey)) {
+    throw new AppError('NOT_FOUND', `History entry '${id}' not found`);
+  }
+  return serializeEntry(entry);
+};
+
+const describeHistory = () => ({
+  enabled: HISTORY_ENABLED,
+  maxEntries: HISTORY_MAX_ENTRIES
+});
+
+loadFromFile();
+
+module.exports = {
+  recordHistory,
+  trackHistory,
+  listHistory,
+  getHistoryEntry,
+  describeHistory,
+  MAX_HISTORY_PAGE_SIZE
+};
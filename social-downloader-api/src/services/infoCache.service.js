@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../Logger/logger');
+
+// Metadata cache settings (see .env)
+const INFO_CACHE_TTL_MS = (parseInt(process.env.INFO_CACHE_TTL_SECONDS) || 300) * 1000;
+const INFO_CACHE_MAX_ENTRIES = parseInt(process.env.INFO_CACHE_MAX_ENTRIES) || 500;
+
+// Optional JSON file that keeps the cache across restarts
+const INFO_CACHE_FILE = process.env.INFO_CACHE_FILE
+  ? path.resolve(process.env.INFO_CACHE_FILE)
+  : null;
+const SAVE_DELAY_MS = 1000;
+
+// key -> { value, expiresAt }, kept in least recently used order
+const entries = new Map();
+
+// key -> pending lookup, so concurrent misses fetch once
+const pending = new Map();
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  evictions: 0
+};
+
+let saveTimer = null;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// URL NORMALIZATION
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Cache key for a URL: lowercase host without www./m., no fragment,
+ * sorted query parameters and no trailing slash
+ */
+const normalizeUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/^(www|m)\./, '');
+    parsed.hash = '';
+    parsed.searchParams.sort();
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    return parsed.toString();
+  } catch (error) {
+    return url.trim();
+  }
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// FILE STORE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const loadFromFile = () => {
+  if (!INFO_CACHE_FILE || !fs.existsSync(INFO_CACHE_FILE)) return;
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(INFO_CACHE_FILE, 'utf8'));
+    const now = Date.now();
+
+    (saved.entries || [])
+      .filter(([, entry]) => entry.expiresAt > now)
+      .slice(-INFO_CACHE_MAX_ENTRIES)
+      .forEach(([key, entry]) => entries.set(key, entry));
+
+    logger.info(`Loaded ${entries.size} cached metadata entries from ${INFO_CACHE_FILE}`);
+  } catch (error) {
+    logger.warn(`Could not load metadata cache file: ${error.message}`);
+  }
+};
+
+/**
+ * Write the cache to INFO_CACHE_FILE shortly after the last change
+ */
+const scheduleSave = () => {
+  if (!INFO_CACHE_FILE || saveTimer) return;
+
+  saveTimer = setTimeout(async () => {
+    saveTimer = null;
+    const tempFile = `${INFO_CACHE_FILE}.tmp`;
+
+    try {
+      await fs.promises.mkdir(path.dirname(INFO_CACHE_FILE), { recursive: true });
+      await fs.promises.writeFile(tempFile, JSON.stringify({ entries: [...entries] }));
+      await fs.promises.rename(tempFile, INFO_CACHE_FILE);
+    } catch (error) {
+      logger.warn(`Could not save metadata cache file: ${error.message}`);
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// MAIN PUBLIC FUNCTIONS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const setEntry = (key, value) => {
+  entries.delete(key);
+  entries.set(key, { value, expiresAt: Date.now() + INFO_CACHE_TTL_MS });
+
+  // Evict least recently used entries over the limit
+  while (entries.size > INFO_CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions++;
+  }
+
+  scheduleSave();
+};
+
+/**
+ * Return cached metadata for a URL or load and cache it
+ * @param {string} namespace - Metadata source (e.g. "youtube", "ytdlp")
+ * @param {string} url - Media URL, normalized for the key
+ * @param {Function} loader - Fetches the metadata on a miss
+ */
+const getCachedInfo = async (namespace, url, loader) => {
+  const key = `${namespace}|${normalizeUrl(url)}`;
+  const entry = entries.get(key);
+
+  if (entry && entry.expiresAt > Date.now()) {
+    stats.hits++;
+    // Move to the most recently used position
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  if (entry) entries.delete(key);
+  if (pending.has(key)) {
+    stats.hits++;
+    return pending.get(key);
+  }
+
+  stats.misses++;
+  const lookup = loader()
+    .then(value => {
+      setEntry(key, value);
+      return value;
+    })
+    .finally(() => pending.delete(key));
+
+  pending.set(key, lookup);
+  return lookup;
+};
+
+const clearInfoCache = () => {
+  entries.clear();
+  scheduleSave();
+};
+
+const getInfoCacheStats = () => {
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    entries: entries.size,
+    maxEntries: INFO_CACHE_MAX_ENTRIES,
+    ttlSeconds: INFO_CACHE_TTL_MS / 1000,
+    persistent: !!INFO_CACHE_FILE,
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : null
+  };
+};
+
+loadFromFile();
+
+module.exports = {
+  getCachedInfo,
+  clearInfoCache,
+  getInfoCacheStats,
+  normalizeUrl
+};
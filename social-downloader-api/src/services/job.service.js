@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('../Logger/logger');
+const { downloadWithCache } = require('./downloadCache.service');
+const { AppError, toAppError } = require('../utils/errors');
+
+// Maximum number of downloads running at the same time (jobs and direct downloads)
+const MAX_CONCURRENT_DOWNLOADS = parseInt(process.env.MAX_CONCURRENT_DOWNLOADS) || 2;
+
+// How long finished jobs stay queryable before they are forgotten
+const JOB_RETENTION_MS = (parseInt(process.env.JOB_RETENTION_MINUTES) || 60) * 60 * 1000;
+
+// Minimum delay between two progress events of the same job
+const PROGRESS_INTERVAL_MS = 250;
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const jobs = new Map();
+const queue = [];
+let runningCount = 0;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// INTERNAL HELPERS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const isFinished = (job) => [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status);
+
+/**
+ * Settle a job and schedule it for removal from memory
+ */
+const finishJob = (job, status, { result = null, error = null } = {}) => {
+  job.status = status;
+  job.result = result;
+  const typed = error ? toAppError(error) : null;
+  job.error = typed ? typed.message : null;
+  job.errorCode = typed ? typed.code : null;
+  job.retryable = typed ? typed.retryable : null;
+  job.finishedAt = new Date().toISOString();
+
+  setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+  job.events.emit('finished', job);
+
+  if (status === JOB_STATUS.DONE) job.resolve(result);
+  else job.reject(error);
+};
+
+/**
+ * Start queued jobs until the concurrency limit is reached
+ */
+const processQueue = () => {
+  while (runningCount < MAX_CONCURRENT_DOWNLOADS && queue.length > 0) {
+    const job = queue.shift();
+    runJob(job);
+  }
+};
+
+/**
+ * Record the latest progress and notify listeners (throttled)
+ */
+const reportProgress = (job, progress) => {
+  job.progress = progress;
+
+  const now = Date.now();
+  if (now - job.lastProgressAt < PROGRESS_INTERVAL_MS && progress.percent !== 100) return;
+
+  job.lastProgressAt = now;
+  job.events.emit('progress', progress);
+};
+
+const runJob = async (job) => {
+  runningCount++;
+  job.status = JOB_STATUS.RUNNING;
+  job.startedAt = new Date().toISOString();
+  logger.info(`Job ${job.id} started (${runningCount}/${MAX_CONCURRENT_DOWNLOADS} running)`);
+
+  try {
+    const result = await downloadWithCache(job.url, {
+      ...job.options,
+      signal: job.controller.signal,
+      onProgress: (progress) => reportProgress(job, progress)
+    });
+
+    if (job.status === JOB_STATUS.RUNNING) {
+      logger.info(`Job ${job.id} done: ${result.filename}`);
+      finishJob(job, JOB_STATUS.DONE, { result });
+    }
+  } catch (error) {
+    if (job.status === JOB_STATUS.RUNNING) {
+      logger.error(`Job ${job.id} failed: ${error.message}`);
+      finishJob(job, JOB_STATUS.FAILED, { error });
+    }
+  } finally {
+    runningCount--;
+    processQueue();
+  }
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// MAIN PUBLIC FUNCTIONS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Public view of a job (without internal handles)
+ */
+const serializeJob = (job) => ({
+  id: job.id,
+  url: job.url,
+  status: job.status,
+  progress: job.progress,
+  result: job.result,
+  error: job.error,
+  errorCode: job.errorCode,
+  retryable: job.retryable,
+  queuePosition: job.status === JOB_STATUS.QUEUED ? queue.indexOf(job) + 1 : null,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+/**
+ * Queue a download and return the job immediately
+ * @param {string} url - Media URL
+ * @param {Object} options - Download options
+ * @param {Object} owner
+ * @param {string|null} owner.apiKeyId - Key that created the job, only it can read or cancel the job
+ */
+const createJob = (url, options = {}, { apiKeyId = null } = {}) => {
+  const job = {
+    id: crypto.randomUUID(),
+    url,
+    options,
+    apiKeyId,
+    status: JOB_STATUS.QUEUED,
+    progress: null,
+    lastProgressAt: 0,
+    events: new EventEmitter(),
+    result: null,
+    error: null,
+    errorCode: null,
+    retryable: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    controller: new AbortController()
+  };
+
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  // Callers that only poll the job never await the promise
+  job.promise.catch(() => {});
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  logger.info(`Job ${job.id} queued for: ${url}`);
+
+  processQueue();
+  return job;
+};
+
+/**
+ * Queue a download and wait for it to finish (used by the synchronous endpoint)
+ */
+const runDownload = (url, options = {}) => createJob(url, options).promise;
+
+const getJob = (id) => jobs.get(id) || null;
+
+/**
+ * Job of the calling key, null when it does not exist or belongs to another key
+ * (anonymous callers only reach jobs created without a key)
+ */
+const getOwnedJob = (id, apiKey) => {
+  const job = getJob(id);
+  return job && job.apiKeyId === (apiKey?.id || null) ? job : null;
+};
+
+/**
+ * Cancel a queued or running job
+ * Running jobs have their child process killed and partial file removed
+ */
+const cancelJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (isFinished(job)) return job;
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    queue.splice(queue.indexOf(job), 1);
+  } else {
+    job.controller.abort();
+  }
+
+  logger.info(`Job ${job.id} cancelled`);
+  const error = new AppError('CANCELLED', 'Job was cancelled');
+  finishJob(job, JOB_STATUS.CANCELLED, { error });
+  return job;
+};
+
+module.exports = {
+  JOB_STATUS,
+  isFinished,
+  MAX_CONCURRENT_DOWNLOADS,
+  createJob,
+  runDownload,
+  getJob,
+  getOwnedJob,
+  cancelJob,
+  serializeJob
+};
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../Logger/logger');
+const { AppError } = require('../utils/errors');
+const { runFfmpeg, probeMedia } = require('./ffmpeg.runner');
+
+/**
+ * Post-processing pipeline
+ * Runs the "postprocess" steps of a download one after the other on its
+ * main media file with ffmpeg: remux, transcode, compress and metadata.
+ * Every step replaces the file and reports what it produced
+ */
+
+const POSTPROCESS_TIMEOUT_MS = (parseInt(process.env.POSTPROCESS_TIMEOUT_SECONDS) || 600) * 1000;
+
+const MAX_POSTPROCESS_STEPS = 5;
+const POSTPROCESS_STEPS = ['remux', 'transcode', 'compress', 'metadata'];
+const CONTAINERS = ['mp4', 'mkv', 'webm', 'mov'];
+
+// Requested codec -> ffmpeg encoder and the codec name ffprobe reports
+const VIDEO_ENCODERS = {
+  h264: { encoder: 'libx264', codec: 'h264', args: ['-preset', 'veryfast', '-crf', '23'] },
+  h265: { encoder: 'libx265', codec: 'hevc', args: ['-preset', 'veryfast', '-crf', '28', '-tag:v', 'hvc1'] },
+  vp9: { encoder: 'libvpx-vp9', codec: 'vp9', args: ['-deadline', 'good', '-cpu-used', '4', '-crf', '32', '-b:v', '0'] }
+};
+const AUDIO_ENCODERS = {
+  aac: { encoder: 'aac', codec: 'aac' },
+  opus: { encoder: 'libopus', codec: 'opus' },
+  mp3: { encoder: 'libmp3lame', codec: 'mp3' }
+};
+const VIDEO_CODECS = Object.keys(VIDEO_ENCODERS);
+const TRANSCODE_AUDIO_CODECS = Object.keys(AUDIO_ENCODERS);
+const TRANSCODE_AUDIO_BITRATE = 128;
+
+// Codecs (ffprobe names) each container can hold, and its subtitle codec
+const CONTAINER_CODECS = {
+  mp4: { video: ['h264', 'hevc', 'av1', 'vp9', 'mpeg4'], audio: ['aac', 'mp3', 'opus', 'ac3', 'eac3', 'alac', 'flac'], subtitles: 'mov_text' },
+  mov: { video: ['h264', 'hevc', 'mpeg4', 'prores'], audio: ['aac', 'mp3', 'ac3', 'alac'], subtitles: 'mov_text' },
+  webm: { video: ['vp8', 'vp9', 'av1'], audio: ['opus', 'vorbis'], subtitles: 'webvtt' },
+  mkv: { video: null, audio: null, subtitles: 'srt' }
+};
+
+// Compression: share of the size budget kept for container overhead
+const COMPRESS_OVERHEAD = 0.04;
+const MIN_VIDEO_BITRATE = 100;
+const MAX_COMPRESS_AUDIO_BITRATE = 128;
+const MIN_COMPRESS_AUDIO_BITRATE = 32;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// INTERNAL HELPERS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const containerOf = (filePath) => {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  return ext === 'm4v' ? 'mp4' : ext;
+};
+
+const fits = (container, kind, codec) => {
+  const allowed = CONTAINER_CODECS[container]?.[kind];
+  return !codec || allowed === null || !!allowed?.includes(codec);
+};
+
+/**
+ * FORMAT_UNAVAILABLE when a container cannot hold the video or audio codec
+ */
+const checkContainer = (container, { videoCodec, audioCodec }) => {
+  if (!CONTAINER_CODECS[container]) {
+    throw new AppError('FORMAT_UNAVAILABLE', `Unsupported container: ${container}`);
+  }
+  [['video', videoCodec], ['audio', audioCodec]].forEach(([kind, codec]) => {
+    if (!fits(container, kind, codec)) {
+      throw new AppError('FORMAT_UNAVAILABLE',
+        `${container} cannot hold ${codec} ${kind}, add a "transcode" step or choose another container`);
+    }
+  });
+};
+
+/**
+ * First container able to hold both codecs: the current one when possible
+ */
+const pickContainer = (current, codecs) => {
+  return [current, 'mp4', 'webm', 'mkv'].find(container => CONTAINER_CODECS[container]
+    && fits(container, 'video', codecs.videoCodec)
+    && fits(container, 'audio', codecs.audioCodec));
+};
+
+// Keep the first video track, every audio and subtitle track, chapters and tags
+// (subtitles only for containers known to hold them)
+const streamMapping = (container) => {
+  const subtitles = CONTAINER_CODECS[container]?.subtitles;
+  return ['-map', '0:v:0?', '-map', '0:a?', ...(subtitles ? ['-map', '0:s?', '-c:s', subtitles] : [])];
+};
+
+const fastStart = (container) => (['mp4', 'mov'].includes(container) ? ['-movflags', '+faststart'] : []);
+
+/**
+ * Run ffmpeg from inputPath into the given container, the input is replaced
+ * @returns {Promise<string>} Path of the new file
+ */
+const transform = async (inputPath, container, args, { signal }) => {
+  const { dir, name } = path.parse(inputPath);
+  const outputPath = path.join(dir, `${name}.${container}`);
+  const tempPath = path.join(dir, `${name}.pp.${container}`);
+
+  try {
+    await runFfmpeg(['-i', inputPath, ...args, ...fastStart(container), '-y', tempPath], {
+      timeout: POSTPROCESS_TIMEOUT_MS,
+      signal
+    });
+  } catch (error) {
+    fs.unlink(tempPath, () => {});
+    throw error;
+  }
+
+  await fs.promises.unlink(inputPath);
+  await fs.promises.rename(tempPath, outputPath);
+  return outputPath;
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// STEPS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Each step gets the current file and its probe, and returns the new path
+// (or null when there was nothing to do) plus fields for the step report
+
+/**
+ * { type: "remux", container } - new container, streams are copied
+ */
+const remux = async (filePath, probe, step, context) => {
+  if (containerOf(filePath) === step.container) return { path: null };
+
+  checkContainer(step.container, probe);
+  return { path: await transform(filePath, step.container, [...streamMapping(step.container), '-c:v', 'copy', '-c:a', 'copy'], context) };
+};
+
+/**
+ * { type: "transcode", videoCodec, audioCodec, height, container }
+ * Streams that are not asked for are copied, "height" never upscales
+ */
+const transcode = async (filePath, probe, step, context) => {
+  const video = step.videoCodec || step.height ? VIDEO_ENCODERS[step.videoCodec || 'h264'] : null;
+  const audio = step.audioCodec ? AUDIO_ENCODERS[step.audioCodec] : null;
+  const codecs = {
+    videoCodec: video && probe.videoCodec ? video.codec : probe.videoCodec,
+    audioCodec: audio && probe.audioCodec ? audio.codec : probe.audioCodec
+  };
+
+  const container = step.container || pickContainer(containerOf(filePath), codecs);
+  checkContainer(container, codecs);
+
+  const args = [...streamMapping(container)];
+  if (video) {
+    args.push('-c:v', video.encoder, ...video.args, '-pix_fmt', 'yuv420p');
+    if (step.height) args.push('-vf', `scale=-2:'min(${step.height},ih)'`);
+  } else {
+    args.push('-c:v', 'copy');
+  }
+  args.push(...(audio ? ['-c:a', audio.encoder, '-b:a', `${TRANSCODE_AUDIO_BITRATE}k`] : ['-c:a', 'copy']));
+
+  return { path: await transform(filePath, container, args, context) };
+};
+
+/**
+ * { type: "compress", targetSizeMB } - H.264/AAC re-encode with a bitrate that
+ * fits the duration into the target size; files already under it are kept
+ */
+const compress = async (filePath, probe, step, context) => {
+  const targetBytes = step.targetSizeMB * 1024 * 1024;
+  const { size } = await fs.promises.stat(filePath);
+
+  if (size <= targetBytes) return { path: null, targetMet: true };
+  if (!probe.duration || !probe.videoCodec) {
+    throw new AppError('FORMAT_UNAVAILABLE', 'Only video files with a known duration can be compressed');
+  }
+
+  const totalKbps = (targetBytes * 8 * (1 - COMPRESS_OVERHEAD)) / probe.duration / 1000;
+  const audioKbps = probe.audioCodec
+    ? Math.round(Math.min(MAX_COMPRESS_AUDIO_BITRATE, Math.max(MIN_COMPRESS_AUDIO_BITRATE, totalKbps * 0.15)))
+    : 0;
+  const videoKbps = Math.floor(totalKbps - audioKbps);
+
+  if (videoKbps < MIN_VIDEO_BITRATE) {
+    const minimumMB = Math.ceil(((MIN_VIDEO_BITRATE + audioKbps) * 1000 * probe.duration) / 8 / (1 - COMPRESS_OVERHEAD) / 1024 / 1024);
+    throw new AppError('VALIDATION_FAILED', 'Validation failed', [{
+      field: 'postprocess',
+      message: `${step.targetSizeMB} MB is too small for ${Math.round(probe.duration)}s of video, use at least ${minimumMB} MB`
+    }]);
+  }
+
+  const container = pickContainer(containerOf(filePath), { videoCodec: 'h264', audioCodec: 'aac' });
+  const args = [
+    ...streamMapping(container),
+    '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p',
+    '-b:v', `${videoKbps}k`, '-maxrate', `${videoKbps}k`, '-bufsize', `${videoKbps * 2}k`,
+    ...(audioKbps ? ['-c:a', 'aac', '-b:a', `${audioKbps}k`] : [])
+  ];
+
+  const outputPath = await transform(filePath, container, args, context);
+  const { size: compressedSize } = await fs.promises.stat(outputPath);
+
+  return { path: outputPath, videoBitrate: videoKbps, audioBitrate: audioKbps || null, targetMet: compressedSize <= targetBytes };
+};
+
+/**
+ * { type: "metadata", mode: "strip" | "keep" }
+ * "strip" removes every tag and chapter, "keep" writes the source title,
+ * uploader, upload date and URL into the file
+ * Files in other containers (flv, 3gp...) are written to one of CONTAINERS
+ */
+const metadata = async (filePath, probe, step, context) => {
+  const container = pickContainer(containerOf(filePath), probe);
+  const args = [...streamMapping(container), '-c:v', 'copy', '-c:a', 'copy'];
+  let tags = null;
+
+  if (step.mode === 'strip') {
+    args.push('-map_metadata', '-1', '-map_chapters', '-1', '-fflags', '+bitexact');
+  } else {
+    const { source = {} } = context;
+    tags = Object.fromEntries(Object.entries({
+      title: source.title,
+      artist: source.uploader,
+      date: source.uploadDate,
+      comment: source.url
+    }).filter(([, value]) => value));
+
+    args.push('-map_metadata', '0', ...Object.entries(tags).flatMap(([key, value]) => ['-metadata', `${key}=${value}`]));
+  }
+
+  return { path: await transform(filePath, container, args, context), ...(tags && { tags }) };
+};
+
+const STEP_HANDLERS = { remux, transcode, compress, metadata };
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// MAIN PUBLIC FUNCTIONS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Reject a pipeline before anything is downloaded
+ * Options that skipped the request schema (recorded history options) are
+ * checked too: a target container outside CONTAINERS is FORMAT_UNAVAILABLE
+ * @param {Object} options - Download options (postprocess, format)
+ */
+const checkPostprocess = ({ postprocess, format }) => {
+  if (postprocess?.length && format === 'audio') {
+    throw new AppError('VALIDATION_FAILED', 'Validation failed', [{
+      field: 'postprocess',
+      message: 'Post-processing applies to video downloads, use audioCodec/audioBitrate for audio'
+    }]);
+  }
+
+  (postprocess || []).forEach(step => {
+    if (step.container && !CONTAINER_CODECS[step.container]) {
+      throw new AppError('FORMAT_UNAVAILABLE', `Unsupported container: ${step.container} (available: ${CONTAINERS.join(', ')})`);
+    }
+  });
+};
+
+/**
+ * Run the steps on the main media file of a download result
+ * @param {Object} result - Download result (filename, filesize, files)
+ * @param {Object[]} steps - Validated "postprocess" steps
+ * @param {Object} context
+ * @param {string} context.directory - Directory of the downloaded files
+ * @param {Object} context.source - { title, uploader, uploadDate, url } for the metadata step
+ * @param {AbortSignal} context.signal - Stops ffmpeg when the download is cancelled
+ * @returns {Promise<Object>} Result with the new main file and a "postprocess" report per step
+ */
+const runPostprocess = async (result, steps, { directory, source, signal } = {}) => {
+  let filePath = path.join(directory, result.filename);
+  const reports = [];
+
+  try {
+    for (const step of steps) {
+      const probe = await probeMedia(filePath, { signal });
+      const { path: outputPath, ...details } = await STEP_HANDLERS[step.type](filePath, probe, step, { source, signal });
+
+      if (outputPath) filePath = outputPath;
+      const output = outputPath ? await probeMedia(filePath, { signal }) : probe;
+
+      reports.push({
+        ...step,
+        ...details,
+        skipped: !outputPath,
+        output: {
+          filename: path.basename(filePath),
+          filesize: (await fs.promises.stat(filePath)).size,
+          container: containerOf(filePath),
+          ...output
+        }
+      });
+      logger.info(`Post-processing ${step.type} ${outputPath ? 'done' : 'skipped'}: ${path.basename(filePath)}`);
+    }
+  } catch (error) {
+    // A half-processed file is not what was asked for
+    fs.unlink(filePath, () => {});
+    throw error;
+  }
+
+  const main = { filename: path.basename(filePath), filesize: (await fs.promises.stat(filePath)).size };
+  return {
+    ...result,
+    ...main,
+    files: [{ ...(result.files?.[0] || {}), ...main }, ...(result.files || []).slice(1)],
+    postprocess: reports
+  };
+};
+
+const describePostprocess = () => ({
+  steps: POSTPROCESS_STEPS,
+  maxSteps: MAX_POSTPROCESS_STEPS,
+  containers: CONTAINERS,
+  videoCodecs: VIDEO_CODECS,
+  audioCodecs: TRANSCODE_AUDIO_CODECS,
+  timeoutSeconds: POSTPROCESS_TIMEOUT_MS / 1000
+});
+
+module.exports = {
+  checkPostprocess,
+  runPostprocess,
+  describePostprocess,
+  MAX_POSTPROCESS_STEPS,
+  CONTAINERS,
+  VIDEO_CODECS,
+  TRANSCODE_AUDIO_CODECS
+};
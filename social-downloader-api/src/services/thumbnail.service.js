@@ -0,0 +1,315 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../Logger/logger');
+const { AppError, toAppError } = require('../utils/errors');
+const { getInfo, resolveMediaId, DOWNLOAD_DIR } = require('./downloader.service');
+const { USER_AGENT } = require('./urlResolver.service');
+const { runDownload } = require('./job.service');
+const { runFfmpeg, probeMedia } = require('./ffmpeg.runner');
+
+/**
+ * Thumbnails and previews
+ * Remote thumbnail URLs expire and are often hotlink-protected, so the
+ * largest one is fetched once and served from a local cache, optionally
+ * resized or converted. Contact sheets and animated previews are rendered
+ * from the downloaded video with ffmpeg
+ */
+
+const THUMBNAIL_CACHE_DIR = path.resolve(process.env.THUMBNAIL_CACHE_DIR || './data/thumbnails');
+const THUMBNAIL_CACHE_TTL_MS = (parseFloat(process.env.THUMBNAIL_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_THUMBNAIL_BYTES = 10 * 1024 * 1024;
+
+const ASSET_TYPES = ['thumbnail', 'sheet', 'preview'];
+// Output formats per asset type, the first one is the default
+const ASSET_FORMATS = {
+  thumbnail: ['original', 'jpeg', 'webp'],
+  sheet: ['jpeg', 'webp'],
+  preview: ['webp', 'gif']
+};
+const MAX_THUMBNAIL_WIDTH = 1920;
+const MAX_SHEET_GRID = 8;
+const DEFAULT_SHEET_GRID = 4;
+const SHEET_TILE_WIDTH = 320;
+const MAX_PREVIEW_FRAMES = 30;
+const DEFAULT_PREVIEW_FRAMES = 12;
+const PREVIEW_WIDTH = 480;
+const PREVIEW_FPS = 2;
+
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+const FORMAT_EXTENSIONS = { jpeg: 'jpg', webp: 'webp', gif: 'gif' };
+
+// cache key -> rendering shared by identical requests
+const inflight = new Map();
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// CACHE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const buildCacheKey = (keyData) => crypto.createHash('sha256').update(JSON.stringify(keyData)).digest('hex');
+
+const isFresh = (filePath) => {
+  try {
+    return Date.now() - fs.statSync(filePath).mtimeMs < THUMBNAIL_CACHE_TTL_MS;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Cached file of a key (any image extension), null when missing or expired
+ */
+const findCached = (key) => {
+  const cached = Object.keys(CONTENT_TYPES)
+    .map(ext => path.join(THUMBNAIL_CACHE_DIR, `${key}.${ext}`))
+    .find(filePath => fs.existsSync(filePath));
+
+  return cached && isFresh(cached) ? cached : null;
+};
+
+/**
+ * Cached file of a key, rendered by render(tempPath) on a miss
+ * Identical requests that arrive meanwhile wait for the same rendering
+ * @param {Function} render - Writes the asset, resolves with its extension
+ * @returns {Promise<{filePath: string, cached: boolean}>}
+ */
+const withCache = async (key, render) => {
+  const cached = findCached(key);
+  if (cached) return { filePath: cached, cached: true };
+
+  if (!inflight.has(key)) {
+    const tempPath = path.join(THUMBNAIL_CACHE_DIR, `${key}.tmp`);
+
+    const rendering = (async () => {
+      await fs.promises.mkdir(THUMBNAIL_CACHE_DIR, { recursive: true });
+      try {
+        const ext = await render(tempPath);
+        const filePath = path.join(THUMBNAIL_CACHE_DIR, `${key}.${ext}`);
+        await fs.promises.rename(tempPath, filePath);
+        return filePath;
+      } catch (error) {
+        fs.unlink(tempPath, () => {});
+        throw error;
+      }
+    })().finally(() => inflight.delete(key));
+
+    inflight.set(key, rendering);
+  }
+
+  return { filePath: await inflight.get(key), cached: false };
+};
+
+/**
+ * Remove cached assets older than THUMBNAIL_CACHE_TTL_HOURS
+ */
+const pruneThumbnails = () => {
+  if (!fs.existsSync(THUMBNAIL_CACHE_DIR)) return;
+
+  const expired = fs.readdirSync(THUMBNAIL_CACHE_DIR)
+    .map(name => path.join(THUMBNAIL_CACHE_DIR, name))
+    .filter(filePath => !isFresh(filePath));
+
+  expired.forEach(filePath => fs.unlink(filePath, () => {}));
+  if (expired.length > 0) logger.info(`Removed ${expired.length} expired thumbnails`);
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// THUMBNAILS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Image type from the first bytes (CDNs do not always send a usable Content-Type)
+ */
+const detectImageType = (buffer) => {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'jpg';
+  if (buffer.subarray(0, 4).toString('hex') === '89504e47') return 'png';
+  if (buffer.subarray(0, 4).toString() === 'RIFF' && buffer.subarray(8, 12).toString() === 'WEBP') return 'webp';
+  if (buffer.subarray(0, 3).toString() === 'GIF') return 'gif';
+  return null;
+};
+
+/**
+ * Download one thumbnail URL, with the media page as referer for hotlink protection
+ * @returns {Promise<{buffer: Buffer, ext: string}>}
+ */
+const fetchImage = async (imageUrl, pageUrl) => {
+  if (!/^https?:\/\//i.test(imageUrl)) throw new AppError('MEDIA_NOT_FOUND', 'Thumbnail URL is not http(s)');
+
+  const response = await axios.get(imageUrl, {
+    responseType: 'arraybuffer',
+    timeout: FETCH_TIMEOUT_MS,
+    maxContentLength: MAX_THUMBNAIL_BYTES,
+    headers: { 'User-Agent': USER_AGENT, Referer: `${new URL(pageUrl).origin}/` }
+  });
+
+  const buffer = Buffer.from(response.data);
+  const ext = detectImageType(buffer);
+  if (!ext) throw new AppError('MEDIA_NOT_FOUND', `Thumbnail is not an image (${response.headers['content-type'] || 'unknown type'})`);
+
+  return { buffer, ext };
+};
+
+/**
+ * Largest thumbnail of a media that can still be fetched, written to outputPath
+ * Smaller sizes are tried when the largest one is gone
+ * @returns {Promise<string>} Extension of the image
+ */
+const fetchBestThumbnail = async (info, outputPath) => {
+  const candidates = info.thumbnails?.length ? info.thumbnails : [{ url: info.thumbnail }];
+  let lastError = null;
+
+  for (const { url } of candidates.filter(candidate => candidate.url)) {
+    try {
+      const { buffer, ext } = await fetchImage(url, info.canonicalUrl);
+      await fs.promises.writeFile(outputPath, buffer);
+      return ext;
+    } catch (error) {
+      logger.warn(`Thumbnail fetch failed (${url}): ${error.message}`);
+      lastError = error;
+    }
+  }
+
+  if (!lastError) throw new AppError('MEDIA_NOT_FOUND', 'This media has no thumbnail');
+  // Expired or hotlink-protected URLs answer 403/404
+  if (lastError.response?.status < 500) {
+    throw new AppError('MEDIA_NOT_FOUND', `Thumbnail could not be fetched (HTTP ${lastError.response.status})`);
+  }
+  throw toAppError(lastError);
+};
+
+/**
+ * Encoder arguments for a still image
+ */
+const imageCodecArgs = (format) => (format === 'webp'
+  ? ['-f', 'image2', '-c:v', 'libwebp', '-quality', '80']
+  : ['-f', 'image2', '-c:v', 'mjpeg', '-q:v', '3']);
+
+/**
+ * Scale filter keeping the aspect ratio and never upscaling
+ */
+const scaleFilter = (width, height) => {
+  if (width && height) return `scale='min(${width},iw)':'min(${height},ih)':force_original_aspect_ratio=decrease`;
+  if (height) return `scale=-2:'min(${height},ih)'`;
+  return `scale='min(${width},iw)':-2`;
+};
+
+/**
+ * Largest thumbnail of a media, cached locally, optionally resized or converted
+ * @param {string} url - Media URL
+ * @param {Object} options
+ * @param {number} options.width - Maximum width in pixels
+ * @param {number} options.height - Maximum height in pixels
+ * @param {string} options.format - "original" (default), "jpeg" or "webp"; resized originals become JPEG
+ * @returns {Promise<{filePath, contentType, cached}>}
+ */
+const getThumbnail = async (url, { width, height, format = 'original' } = {}) => {
+  const info = await getInfo(url);
+  const base = { platform: info.platform, mediaId: info.mediaId || info.canonicalUrl };
+
+  const original = await withCache(buildCacheKey({ ...base, type: 'thumbnail' }), (tempPath) => fetchBestThumbnail(info, tempPath));
+
+  const outputFormat = format === 'original' && (width || height) ? 'jpeg' : format;
+  if (outputFormat === 'original') {
+    return { filePath: original.filePath, contentType: CONTENT_TYPES[path.extname(original.filePath).slice(1)], cached: original.cached };
+  }
+
+  const ext = FORMAT_EXTENSIONS[outputFormat];
+  const variant = await withCache(buildCacheKey({ ...base, type: 'thumbnail', width, height, format: outputFormat }), async (tempPath) => {
+    const filters = width || height ? ['-vf', scaleFilter(width, height)] : [];
+    await runFfmpeg(['-i', original.filePath, ...filters, '-frames:v', '1', ...imageCodecArgs(outputFormat), '-y', tempPath]);
+    return ext;
+  });
+
+  return { filePath: variant.filePath, contentType: CONTENT_TYPES[ext], cached: variant.cached };
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// VIDEO PREVIEWS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * ffmpeg arguments for a contact sheet: columns x rows frames spread over the video
+ */
+const sheetArgs = ({ columns = DEFAULT_SHEET_GRID, rows = DEFAULT_SHEET_GRID, width }, duration, format) => {
+  const tileWidth = width ? Math.max(Math.floor(width / columns), 16) : SHEET_TILE_WIDTH;
+
+  return [
+    '-vf', `fps=${(columns * rows) / duration},scale=${tileWidth}:-2,tile=${columns}x${rows}:padding=4:margin=4`,
+    '-frames:v', '1', ...imageCodecArgs(format)
+  ];
+};
+
+/**
+ * ffmpeg arguments for an animated preview: frames spread over the video, played at PREVIEW_FPS
+ */
+const previewArgs = ({ frames = DEFAULT_PREVIEW_FRAMES, width = PREVIEW_WIDTH }, duration, format) => {
+  const filters = `fps=${frames / duration},scale='min(${width},iw)':-2,setpts=N/${PREVIEW_FPS}/TB`;
+
+  return format === 'gif'
+    ? ['-vf', `${filters},split[a][b];[a]palettegen[p];[b][p]paletteuse`, '-r', String(PREVIEW_FPS), '-loop', '0', '-f', 'gif']
+    : ['-vf', filters, '-r', String(PREVIEW_FPS), '-loop', '0', '-c:v', 'libwebp', '-quality', '75', '-f', 'webp'];
+};
+
+/**
+ * Contact sheet or animated preview rendered from the downloaded video
+ * The video comes from the download cache (or is downloaded through the job queue)
+ * @param {string} url - Media URL
+ * @param {string} type - "sheet" or "preview"
+ * @param {Object} options - format, width, columns/rows (sheet), frames (preview)
+ * @returns {Promise<{filePath, contentType, cached, download}>} download is the
+ *          download result when the video had to be fetched for this request
+ */
+const getVideoPreview = async (url, type, options = {}) => {
+  const format = options.format || ASSET_FORMATS[type][0];
+  const { platform, mediaId } = await resolveMediaId(url);
+  const key = buildCacheKey({ platform, mediaId, type, ...options, format });
+  let download = null;
+
+  const asset = await withCache(key, async (tempPath) => {
+    download = await runDownload(url, {});
+    const videoPath = path.join(DOWNLOAD_DIR, download.filename);
+
+    const { duration, videoCodec } = await probeMedia(videoPath);
+    if (!duration || !videoCodec) {
+      throw new AppError('FORMAT_UNAVAILABLE', `A ${type === 'sheet' ? 'contact sheet' : 'preview'} needs a video with a known duration`);
+    }
+
+    const args = type === 'sheet' ? sheetArgs(options, duration, format) : previewArgs(options, duration, format);
+    await runFfmpeg(['-i', videoPath, '-an', ...args, '-y', tempPath]);
+    return FORMAT_EXTENSIONS[format];
+  });
+
+  return { ...asset, contentType: CONTENT_TYPES[FORMAT_EXTENSIONS[format]], download };
+};
+
+const describeThumbnails = () => ({
+  types: ASSET_TYPES,
+  formats: ASSET_FORMATS,
+  maxWidth: MAX_THUMBNAIL_WIDTH,
+  maxSheetGrid: MAX_SHEET_GRID,
+  maxPreviewFrames: MAX_PREVIEW_FRAMES,
+  cacheTtlHours: THUMBNAIL_CACHE_TTL_MS / 60 / 60 / 1000
+});
+
+pruneThumbnails();
+setInterval(pruneThumbnails, PRUNE_INTERVAL_MS).unref();
+
+module.exports = {
+  getThumbnail,
+  getVideoPreview,
+  describeThumbnails,
+  ASSET_TYPES,
+  ASSET_FORMATS,
+  MAX_THUMBNAIL_WIDTH,
+  MAX_SHEET_GRID,
+  MAX_PREVIEW_FRAMES
+};
@@ -0,0 +1,145 @@
+const axios = require('axios');
+const logger = require('../Logger/logger');
+const { AppError } = require('../utils/errors');
+const { findExtractor } = require('../extractors/registry');
+const { getCachedInfo } = require('./infoCache.service');
+
+/**
+ * URL normalization
+ * Expands short links, strips tracking parameters and builds the canonical
+ * { platform, mediaId, canonicalUrl } used for responses, caching and history
+ */
+
+// Most redirects followed when expanding a short link
+const MAX_REDIRECT_HOPS = parseInt(process.env.MAX_REDIRECT_HOPS) || 5;
+const REDIRECT_TIMEOUT_MS = 5000;
+
+// Shorteners that can point to any platform
+const GENERIC_SHORTENERS = ['t.co', 'bit.ly', 'tinyurl.com', 'ow.ly', 'buff.ly'];
+
+// Share and analytics parameters that never change the media
+const TRACKING_PARAMS = [
+  'si', 'feature', 'pp', 'igsh', 'igshid', 'fbclid', 'gclid', 'mibextid', 'rdt',
+  'ref', 'ref_src', 'ref_url', 'share_id', 'share_app_id', 'share_link_id',
+  'is_from_webapp', 'sender_device', 'web_id', 'tt_from', 'u_code', '_r', '_t'
+];
+
+// Browser-like agent, some shorteners answer bots with a landing page
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// INTERNAL HELPERS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Copy of a parsed URL without fragment and tracking parameters
+ */
+const stripTrackingParams = (parsedUrl) => {
+  const cleaned = new URL(parsedUrl.toString());
+  cleaned.hash = '';
+
+  [...cleaned.searchParams.keys()]
+    .filter(key => key.startsWith('utm_') || TRACKING_PARAMS.includes(key))
+    .forEach(key => cleaned.searchParams.delete(key));
+
+  return cleaned;
+};
+
+const isShortLink = (parsedUrl, extractor) => {
+  const hostname = parsedUrl.hostname.toLowerCase();
+  if (GENERIC_SHORTENERS.includes(hostname)) return true;
+  return !!extractor?.isShortLink?.(parsedUrl);
+};
+
+/**
+ * Follow redirects one hop at a time, up to MAX_REDIRECT_HOPS
+ * @returns {Promise<string>} Final URL
+ */
+const followRedirects = async (url) => {
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECT_HOPS; hop++) {
+    const response = await axios.get(current, {
+      maxRedirects: 0,
+      timeout: REDIRECT_TIMEOUT_MS,
+      headers: { 'User-Agent': USER_AGENT },
+      responseType: 'stream',
+      validateStatus: status => status < 400
+    });
+    response.data.destroy(); // Only the headers are needed
+
+    const location = response.headers.location;
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return current;
+    }
+
+    current = new URL(location, current).toString();
+    logger.info(`Short link redirect ${hop + 1}: ${current}`);
+
+    // Stop at the first URL that is not a short link itself (the media page)
+    if (!isShortLink(new URL(current), findExtractor(current))) return current;
+  }
+
+  throw new AppError('TOO_MANY_REDIRECTS', `Short link redirects more than ${MAX_REDIRECT_HOPS} times`);
+};
+
+/**
+ * Expanded short link, cached like metadata
+ * Network failures keep the short link, yt-dlp can still follow it itself
+ */
+const expandShortLink = async (url) => {
+  try {
+    return await getCachedInfo('shortlink', url, () => followRedirects(url));
+  } catch (error) {
+    if (error.code === 'TOO_MANY_REDIRECTS') throw error;
+    logger.warn(`Could not expand short link ${url}: ${error.message}`);
+    return url;
+  }
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// MAIN PUBLIC FUNCTIONS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Canonical form of a media URL
+ * @param {string} url - URL as submitted
+ * @returns {Promise<{platform, mediaId, canonicalUrl, originalUrl}>}
+ *          platform is "unknown" when no extractor matches
+ */
+const resolveUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new AppError('INVALID_URL', 'Invalid URL provided');
+  }
+
+  let extractor = findExtractor(url);
+
+  if (isShortLink(parsed, extractor)) {
+    const expanded = await expandShortLink(url);
+    if (expanded !== url) {
+      parsed = new URL(expanded);
+      extractor = findExtractor(expanded);
+    }
+  }
+
+  const cleaned = stripTrackingParams(parsed);
+  const mediaId = extractor?.extractId?.(cleaned.toString()) || null;
+  const canonicalUrl = (mediaId && extractor.canonicalUrl?.(cleaned, mediaId)) || cleaned.toString();
+
+  return {
+    platform: extractor?.name || 'unknown',
+    mediaId,
+    canonicalUrl,
+    originalUrl: url
+  };
+};
+
+module.exports = {
+  resolveUrl,
+  stripTrackingParams,
+  MAX_REDIRECT_HOPS,
+  USER_AGENT
+};
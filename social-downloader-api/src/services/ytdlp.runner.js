@@ -0,0 +1,260 @@
+const { spawn } = require('child_process');
+const logger = require('../Logger/logger');
+const { buildProgress } = require('../utils/progress');
+const { AppError, classifyMessage } = require('../utils/errors');
+
+/**
+ * yt-dlp runner
+ * Spawns yt-dlp with an argument array (never through a shell), streams its
+ * output line by line to the logger and turns failures into typed errors
+ */
+
+const YTDLP_BINARY = process.env.YTDLP_PATH || 'yt-dlp';
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_MAX_BUFFER = 1024 * 1024 * 50;
+
+// Emitted by yt-dlp for every progress update when PROGRESS_ARGS are passed
+const PROGRESS_PREFIX = '[progress]';
+const PROGRESS_ARGS = [
+  '--newline', // One progress line per update instead of carriage-return redraws
+  '--progress-template',
+  `download:${PROGRESS_PREFIX}%(progress.downloaded_bytes)s|%(progress.total_bytes)s|%(progress.total_bytes_estimate)s|%(progress.speed)s|%(progress.eta)s`
+];
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ERRORS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+class YtDlpError extends AppError {
+  constructor(message, { code = 'YTDLP_FAILED', exitCode = null, stderr = '' } = {}) {
+    super(code, message);
+    this.name = 'YtDlpError';
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+  }
+}
+
+class YtDlpNotFoundError extends YtDlpError {
+  constructor() {
+    super('yt-dlp is not installed. Install with: pip install yt-dlp', { code: 'DEPENDENCY_MISSING' });
+    this.name = 'YtDlpNotFoundError';
+  }
+}
+
+class YtDlpTimeoutError extends YtDlpError {
+  constructor(timeout) {
+    super(`yt-dlp timed out after ${Math.round(timeout / 1000)} seconds`, { code: 'TIMEOUT' });
+    this.name = 'YtDlpTimeoutError';
+  }
+}
+
+class YtDlpCancelledError extends YtDlpError {
+  constructor() {
+    super('yt-dlp was cancelled', { code: 'CANCELLED' });
+    this.name = 'YtDlpCancelledError';
+  }
+}
+
+/**
+ * Build a typed error from yt-dlp's exit code and stderr
+ */
+const classifyFailure = (exitCode, stderr) => {
+  const errorLine = stderr.split('\n').find(line => line.startsWith('ERROR:'));
+  const message = errorLine
+    ? errorLine.replace(/^ERROR:\s*/, '')
+    : `yt-dlp exited with code ${exitCode}`;
+
+  return new YtDlpError(message, {
+    code: classifyMessage(stderr) || 'YTDLP_FAILED',
+    exitCode,
+    stderr
+  });
+};
+
+/**
+ * Parse a progress line printed with PROGRESS_ARGS, returns null for any other line
+ */
+const parseProgressLine = (line) => {
+  if (!line.startsWith(PROGRESS_PREFIX)) return null;
+
+  // yt-dlp prints "NA" for unknown values
+  const [downloaded, total, totalEstimate, speed, eta] = line
+    .slice(PROGRESS_PREFIX.length)
+    .split('|')
+    .map(value => parseFloat(value));
+
+  if (!Number.isFinite(downloaded)) return null;
+  return buildProgress(downloaded, total || totalEstimate, speed, eta);
+};
+
+/**
+ * Call onLine for every complete line of a stream
+ */
+const forEachLine = (stream, onLine) => {
+  let pending = '';
+  stream.setEncoding('utf8');
+  stream.on('data', (chunk) => {
+    const lines = (pending + chunk).split('\n');
+    pending = lines.pop();
+    lines.forEach(line => onLine(line.replace(/\r$/, '')));
+  });
+  stream.on('end', () => {
+    if (pending) onLine(pending);
+  });
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// RUNNER
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Run yt-dlp with the given arguments
+ * @param {string[]} args - yt-dlp arguments (the URL should come last, after "--")
+ * @param {Object} options
+ * @param {number} options.timeout - Kill the process after this many ms
+ * @param {AbortSignal} options.signal - Kill the process when aborted
+ * @param {Function} options.onProgress - Receives parsed PROGRESS_ARGS updates
+ * @param {number} options.maxBuffer - Maximum collected stdout size in bytes
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+const runYtDlp = (args, options = {}) => {
+  const {
+    timeout = DEFAULT_TIMEOUT_MS,
+    signal,
+    onProgress,
+    maxBuffer = DEFAULT_MAX_BUFFER
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new YtDlpCancelledError());
+
+    logger.info(`Running: ${YTDLP_BINARY} ${args.join(' ')}`);
+
+    const child = spawn(YTDLP_BINARY, args, { shell: false, windowsHide: true });
+    const stdoutLines = [];
+    const stderrLines = [];
+    let stdoutSize = 0;
+    let failure = null;
+    let settled = false;
+
+    const kill = (error) => {
+      if (failure) return;
+      failure = error;
+      child.kill('SIGKILL');
+    };
+
+    const timer = setTimeout(() => kill(new YtDlpTimeoutError(timeout)), timeout);
+    const onAbort = () => kill(new YtDlpCancelledError());
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const settle = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    forEachLine(child.stdout, (line) => {
+      const progress = parseProgressLine(line);
+      if (progress) {
+        if (onProgress) onProgress(progress);
+        return;
+      }
+
+      stdoutSize += line.length + 1;
+      if (stdoutSize > maxBuffer) {
+        return kill(new YtDlpError(`yt-dlp output exceeded ${maxBuffer} bytes`));
+      }
+      stdoutLines.push(line);
+
+      // JSON dumps are returned to the caller, not logged
+      if (line && !line.startsWith('{')) logger.info(`[yt-dlp] ${line}`);
+    });
+
+    forEachLine(child.stderr, (line) => {
+      stderrLines.push(line);
+      if (line) logger.warn(`[yt-dlp] ${line}`);
+    });
+
+    child.on('error', (error) => {
+      settle(error.code === 'ENOENT' ? new YtDlpNotFoundError() : new YtDlpError(error.message));
+    });
+
+    child.on('close', (exitCode) => {
+      const stdout = stdoutLines.join('\n');
+      const stderr = stderrLines.join('\n');
+
+      if (failure) return settle(failure);
+      if (exitCode !== 0) return settle(classifyFailure(exitCode, stderr));
+      settle(null, { stdout, stderr });
+    });
+  });
+};
+
+/**
+ * Run yt-dlp and hand its stdout to the caller instead of collecting it
+ * (used with "-o -" to pipe media without touching the disk)
+ * @param {string[]} args - yt-dlp arguments (the URL should come last, after "--")
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Kill the process when aborted
+ * @returns {{stdout: Readable, done: Promise<void>}} done rejects with a typed error
+ */
+const streamYtDlp = (args, { signal } = {}) => {
+  logger.info(`Streaming: ${YTDLP_BINARY} ${args.join(' ')}`);
+
+  const child = spawn(YTDLP_BINARY, args, { shell: false, windowsHide: true });
+  const stderrLines = [];
+  let failure = null;
+
+  const onAbort = () => {
+    failure = new YtDlpCancelledError();
+    child.kill('SIGKILL');
+  };
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
+
+  forEachLine(child.stderr, (line) => {
+    stderrLines.push(line);
+    if (line) logger.warn(`[yt-dlp] ${line}`);
+  });
+
+  const done = new Promise((resolve, reject) => {
+    child.on('error', (error) => {
+      reject(error.code === 'ENOENT' ? new YtDlpNotFoundError() : new YtDlpError(error.message));
+    });
+
+    child.on('close', (exitCode) => {
+      signal?.removeEventListener('abort', onAbort);
+      if (failure) return reject(failure);
+      if (exitCode !== 0) return reject(classifyFailure(exitCode, stderrLines.join('\n')));
+      resolve();
+    });
+  });
+
+  return { stdout: child.stdout, done };
+};
+
+/**
+ * Installed yt-dlp version, or null when the binary is missing
+ */
+const getYtDlpVersion = async () => {
+  try {
+    const { stdout } = await runYtDlp(['--version'], { timeout: 10000 });
+    return stdout.trim();
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  runYtDlp,
+  streamYtDlp,
+  getYtDlpVersion,
+  PROGRESS_ARGS,
+  YtDlpError,
+  YtDlpNotFoundError,
+  YtDlpTimeoutError,
+  YtDlpCancelledError
+};
@@ -0,0 +1,473 @@
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const logger = require('../Logger/logger');
+const {
+  normalizeYtDlpFormats,
+  availableQualities,
+  resolveFormatSelector,
+  selectStreamFormat,
+  DEFAULT_AUDIO_CODEC,
+  DEFAULT_AUDIO_BITRATE
+} = require('../utils/formats');
+const {
+  normalizeYtDlpSubtitles,
+  checkSubtitleLanguages,
+  buildSubtitleArgs,
+  convertSrtToText,
+  subtitleLanguage
+} = require('../utils/subtitles');
+const { normalizeThumbnails, bestThumbnailUrl } = require('../utils/thumbnails');
+const { runYtDlp, streamYtDlp, getYtDlpVersion, PROGRESS_ARGS, YtDlpCancelledError } = require('./ytdlp.runner');
+const { getCachedInfo } = require('./infoCache.service');
+const { buildClipArgs, describeClip } = require('./clip.service');
+const { AppError, toAppError } = require('../utils/errors');
+
+/**
+ * Shared download core
+ * Downloads directory, size/time limits and the yt-dlp universal downloader
+ * used by every platform extractor
+ */
+
+const DOWNLOAD_DIR = path.join(__dirname, '../../downloads');
+
+// Download limits (see .env)
+const MAX_VIDEO_SIZE_MB = parseFloat(process.env.MAX_VIDEO_SIZE_MB) || 500;
+const MAX_VIDEO_SIZE_BYTES = Math.floor(MAX_VIDEO_SIZE_MB * 1024 * 1024);
+const DOWNLOAD_TIMEOUT_MS = (parseInt(process.env.DOWNLOAD_TIMEOUT_SECONDS) || 300) * 1000;
+
+// Create downloads directory if it doesn't exist
+if (!fs.existsSync(DOWNLOAD_DIR)) {
+  fs.mkdirSync(DOWNLOAD_DIR, { recursive: true });
+  logger.info(` Created downloads directory at ${DOWNLOAD_DIR}`);
+}
+
+// Check if yt-dlp is installed
+let ytDlpAvailable = false;
+(async () => {
+  const version = await getYtDlpVersion();
+  if (version) {
+    ytDlpAvailable = true;
+    logger.info(` yt-dlp ${version} is available`);
+  } else {
+    logger.warn('⚠️  yt-dlp not found. Install with: pip install yt-dlp');
+  }
+})();
+
+// Read at call time, the check above finishes after startup
+const isYtDlpAvailable = () => ytDlpAvailable;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// UTILITY FUNCTIONS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const sanitizeFilename = (filename) => {
+  return filename
+    .replace(/[^a-zA-Z0-9_\-\s]/g, '_')
+    .replace(/\s+/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .substring(0, 100);
+};
+
+const formatDuration = (seconds) => {
+  if (!seconds) return null;
+  
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+  }
+  return `${minutes}:${String(secs).padStart(2, '0')}`;
+};
+
+/**
+ * Remove every file a download attempt produced (including yt-dlp .part files)
+ */
+const removeDownloadArtifacts = (platform, timestamp) => {
+  fs.readdirSync(DOWNLOAD_DIR)
+    .filter(f => f.startsWith(platform) && f.includes(timestamp.toString()))
+    .forEach(f => {
+      fs.unlink(path.join(DOWNLOAD_DIR, f), () => {});
+      logger.info(`Removed partial file: ${f}`);
+    });
+};
+
+/**
+ * Title and uploader from the .info.json files yt-dlp wrote next to a download
+ * (first entry for multi-entry posts), the files are removed afterwards
+ */
+const readDownloadedInfo = (infoFiles) => {
+  const [first] = infoFiles.map(filename => {
+    const filePath = path.join(DOWNLOAD_DIR, filename);
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      logger.warn(`Could not read ${filename}: ${error.message}`);
+      return null;
+    } finally {
+      fs.unlink(filePath, () => {});
+    }
+  });
+
+  return {
+    title: first?.title || null,
+    uploader: first?.uploader || first?.channel || null
+  };
+};
+
+/**
+ * Typed copy of an error with a prefixed message, the original stays as cause
+ * Never changes the error itself: cached and shared promises rethrow it
+ */
+const withPrefix = (error, prefix) => {
+  const typed = toAppError(error);
+  const wrapped = new AppError(typed.code, `${prefix}${typed.message}`, typed.details);
+  wrapped.cause = error;
+  return wrapped;
+};
+
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+/**
+ * Error for media over MAX_VIDEO_SIZE_MB (code TOO_LARGE)
+ */
+const sizeLimitError = (bytes) => {
+  const size = bytes ? ` (${formatFileSize(bytes)})` : '';
+  return new AppError('TOO_LARGE', `File is larger than the ${MAX_VIDEO_SIZE_MB} MB limit${size}`);
+};
+
+/**
+ * Error for a download running past DOWNLOAD_TIMEOUT_SECONDS (code TIMEOUT)
+ */
+const downloadTimeoutError = () => {
+  return new AppError('TIMEOUT', `Download timed out after ${DOWNLOAD_TIMEOUT_MS / 1000} seconds`);
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// YT-DLP UNIVERSAL DOWNLOADER (Works for YouTube, Instagram, TikTok)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const fetchInfoWithYtDlp = async (url, platform) => {
+  try {
+    logger.info(`Fetching info with yt-dlp for: ${url}`);
+    
+    const { stdout } = await runYtDlp(['--dump-json', '--no-warnings', '--', url], {
+      timeout: 60000,
+      maxBuffer: 1024 * 1024 * 10
+    });
+    
+    const info = JSON.parse(stdout);
+    const availableFormats = normalizeYtDlpFormats(info.formats);
+    
+    return {
+      success: true,
+      platform: info.extractor_key?.toLowerCase() || platform || 'unknown',
+      title: info.title || 'Unknown',
+      description: info.description || null,
+      thumbnail: info.thumbnail || bestThumbnailUrl(info.thumbnails),
+      // Every size, largest first (GET /thumbnail picks from these)
+      thumbnails: normalizeThumbnails(info.thumbnails),
+      uploader: info.uploader || info.channel || 'Unknown',
+      uploaderId: info.uploader_id || null,
+      uploadDate: info.upload_date || null,
+      duration: info.duration || null,
+      durationFormatted: formatDuration(info.duration),
+      views: info.view_count || null,
+      likes: info.like_count || null,
+      comments: info.comment_count || null,
+      shares: info.repost_count || null,
+      webpage_url: url,
+      mediaId: info.id || null,
+      isPlayable: true,
+      availableFormats,
+      availableQualities: availableQualities(availableFormats),
+      subtitles: normalizeYtDlpSubtitles(info)
+    };
+  } catch (error) {
+    logger.error(`yt-dlp info error: ${error.message}`);
+    throw error;
+  }
+};
+
+// Cached, shared by /analyze and the download paths
+const getInfoWithYtDlp = (url, platform) => getCachedInfo('ytdlp', url, () => fetchInfoWithYtDlp(url, platform));
+
+/**
+ * Download with yt-dlp
+ * @param {string} url - Media URL
+ * @param {string} platform - Extractor name, used as the filename prefix
+ * @param {Object} options - Request options (quality, formatId, format, audio options, subtitles, clip, signal, onProgress)
+ * @param {Object} settings - Per-platform defaults
+ * @param {string|null} settings.defaultFormat - Format used without quality/formatId (null lets yt-dlp choose)
+ * @param {string} settings.mergeOutputFormat - Container for separate video and audio tracks (e.g. "mp4")
+ */
+const downloadWithYtDlp = async (url, platform, options = {}, settings = {}) => {
+  const { defaultFormat = 'best', mergeOutputFormat } = settings;
+  const timestamp = Date.now();
+
+  try {
+    logger.info(`Downloading with yt-dlp: ${url}`);
+    
+    // Carousels and other multi-entry posts get the entry index appended
+    const outputTemplate = path.join(DOWNLOAD_DIR, `${platform}_%(title).50s_${timestamp}%(playlist_index&_{}|)s.%(ext)s`);
+
+    const isAudio = options.format === 'audio';
+    const audioCodec = options.audioCodec || DEFAULT_AUDIO_CODEC;
+    const audioBitrate = options.audioBitrate || DEFAULT_AUDIO_BITRATE;
+    const { subtitles, clip } = options;
+
+    if (subtitles?.embed && isAudio) {
+      throw new AppError('VALIDATION_FAILED', 'Subtitles can only be embedded into video downloads');
+    }
+
+    // Requested quality/format id/subtitles are validated against the real lists,
+    // audio mode needs the metadata for the response tags
+    let info = null;
+    let formatSelector = null;
+    if (options.quality || options.formatId || isAudio || subtitles) {
+      info = await getInfoWithYtDlp(url);
+      if (subtitles) {
+        checkSubtitleLanguages(subtitles, info.subtitles || normalizeYtDlpSubtitles({}));
+      }
+      if (options.quality || options.formatId || isAudio) {
+        formatSelector = isAudio
+          ? (options.formatId ? resolveFormatSelector({ formatId: options.formatId }, info.availableFormats) : 'ba/b')
+          : resolveFormatSelector(options, info.availableFormats);
+      }
+    }
+
+    // Build arguments based on platform
+    // --max-filesize makes yt-dlp refuse media whose reported size is over the limit
+    // (not for clips, the reported size is the one of the full media)
+    // --no-mtime keeps the download time as mtime, cleanup ages files by it
+    // The info file carries the title without a second --dump-json run
+    const args = ['--no-warnings', ...PROGRESS_ARGS, '--no-mtime', '-o', outputTemplate, '--write-info-json', '--no-write-playlist-metafiles'];
+
+    if (!clip) {
+      args.push('--max-filesize', String(MAX_VIDEO_SIZE_BYTES));
+    }
+
+    if (formatSelector) {
+      args.push('-f', formatSelector);
+    } else if (defaultFormat) {
+      args.push('-f', defaultFormat);
+    }
+
+    if (mergeOutputFormat && !isAudio) {
+      args.push('--merge-output-format', mergeOutputFormat);
+    }
+
+    if (isAudio) {
+      // Tags come from the same fields getInfoWithYtDlp reads (uploader falls back to channel)
+      args.push(
+        '-x', '--audio-format', audioCodec, '--audio-quality', `${audioBitrate}K`,
+        '--embed-metadata', '--embed-thumbnail', '--convert-thumbnails', 'jpg',
+        '--parse-metadata', '%(uploader,channel)s:%(meta_artist)s',
+        '--parse-metadata', '%(upload_date)s:%(meta_date)s'
+      );
+    }
+
+    if (subtitles) {
+      args.push(...buildSubtitleArgs(subtitles));
+    }
+
+    // Only the requested range is downloaded
+    if (clip) {
+      args.push(...buildClipArgs(clip));
+    }
+
+    // Sizes without a reported total are enforced on the running byte count;
+    // merged formats download one file after the other, so bytes are summed
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    let completedBytes = 0;
+    let lastBytes = 0;
+    let sizeExceeded = false;
+
+    const onProgress = (progress) => {
+      if (progress.downloadedBytes < lastBytes) completedBytes += lastBytes;
+      lastBytes = progress.downloadedBytes;
+
+      if (completedBytes + lastBytes > MAX_VIDEO_SIZE_BYTES) {
+        sizeExceeded = true;
+        return controller.abort();
+      }
+      if (options.onProgress) options.onProgress(progress);
+    };
+
+    let stdout;
+    try {
+      ({ stdout } = await runYtDlp([...args, '--', url], {
+        timeout: DOWNLOAD_TIMEOUT_MS,
+        signal: controller.signal, // Kills yt-dlp when the job is cancelled or the limit is hit
+        onProgress
+      }));
+    } catch (error) {
+      if (sizeExceeded && error instanceof YtDlpCancelledError) throw sizeLimitError(completedBytes + lastBytes);
+      if (error.code === 'TOO_LARGE') throw sizeLimitError();
+      if (error.code === 'TIMEOUT') throw downloadTimeoutError();
+      throw error;
+    } finally {
+      options.signal?.removeEventListener('abort', onAbort);
+    }
+
+    // yt-dlp skips (exit code 0) media whose reported size is over --max-filesize
+    if (/larger than max-filesize/i.test(stdout)) {
+      throw sizeLimitError();
+    }
+    
+    // Find every downloaded file in entry order (audio mode may leave a cover image behind)
+    const written = fs.readdirSync(DOWNLOAD_DIR)
+      .filter(f => f.startsWith(platform) && f.includes(timestamp.toString()))
+      .filter(f => !f.endsWith('.part') && !f.endsWith('.ytdl'))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    const downloaded = readDownloadedInfo(written.filter(f => f.endsWith('.info.json')));
+    const produced = written.filter(f => !f.endsWith('.info.json'));
+
+    const mediaFiles = produced
+      .filter(f => !subtitleLanguage(f))
+      .filter(f => !isAudio || f.endsWith(`.${audioCodec}`))
+      .map(filename => ({
+        filename,
+        filesize: fs.statSync(path.join(DOWNLOAD_DIR, filename)).size
+      }));
+
+    if (mediaFiles.length === 0) {
+      throw new AppError('YTDLP_FAILED', 'Download completed but file not found');
+    }
+
+    // Separate subtitle tracks follow the media files
+    const subtitleFiles = produced
+      .filter(f => subtitleLanguage(f))
+      .map(filename => (subtitles?.format === 'txt' && filename.endsWith('.srt')
+        ? path.basename(convertSrtToText(path.join(DOWNLOAD_DIR, filename)))
+        : filename))
+      .map(filename => ({
+        filename,
+        filesize: fs.statSync(path.join(DOWNLOAD_DIR, filename)).size,
+        type: 'subtitle',
+        language: subtitleLanguage(filename)
+      }));
+
+    const files = [...mediaFiles, ...subtitleFiles];
+    
+    files.forEach(file => logger.info(`Downloaded: ${file.filename} (${formatFileSize(file.filesize)})`));
+    
+    // The first file stays the primary result, "files" lists all of them
+    return {
+      success: true,
+      ...files[0],
+      files,
+      platform,
+      title: info?.title || downloaded.title,
+      uploader: info?.uploader || downloaded.uploader,
+      ...(subtitles?.embed && { embeddedSubtitles: subtitles.languages }),
+      ...(clip && { clip: describeClip(clip, 'range') }),
+      ...(isAudio && {
+        format: 'audio',
+        audioCodec,
+        audioBitrate,
+        title: info.title,
+        uploader: info.uploader,
+        thumbnail: info.thumbnail,
+        tags: {
+          title: info.title,
+          artist: info.uploader,
+          date: info.uploadDate,
+          coverArt: !!info.thumbnail
+        }
+      })
+    };
+  } catch (error) {
+    logger.error(`yt-dlp download error: ${error.message}`);
+    removeDownloadArtifacts(platform, timestamp);
+    throw error;
+  }
+};
+
+/**
+ * Stream with yt-dlp ("-o -"), nothing is written to DOWNLOAD_DIR
+ * @param {string} url - Media URL
+ * @param {string} platform - Extractor name
+ * @param {Object} options - Request options (quality, format, signal)
+ * @returns {Promise<{stream, filename, contentLength, platform, title}>}
+ *          stream only ends once yt-dlp exited cleanly, failures are emitted as typed errors
+ *          (TIMEOUT once it runs past DOWNLOAD_TIMEOUT_SECONDS)
+ */
+const streamWithYtDlp = async (url, platform, options = {}) => {
+  const isAudio = options.format === 'audio';
+  const info = await getInfoWithYtDlp(url, platform);
+  const format = selectStreamFormat(options, info.availableFormats);
+
+  if (format?.filesize > MAX_VIDEO_SIZE_BYTES) throw sizeLimitError(format.filesize);
+
+  const fallback = isAudio ? 'ba/b' : (options.quality === 'lowest' ? 'w' : 'b');
+  const ext = format?.ext || (isAudio ? 'm4a' : 'mp4');
+
+  // Killed when the client disconnects, the size limit is passed or time runs out
+  const controller = new AbortController();
+  options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+  const { stdout, done } = streamYtDlp(
+    ['--no-warnings', '--no-progress', '-f', format ? format.formatId : fallback, '-o', '-', '--', url],
+    { signal: controller.signal }
+  );
+
+  const output = new PassThrough();
+  let streamedBytes = 0;
+
+  stdout.on('data', (chunk) => {
+    streamedBytes += chunk.length;
+    if (streamedBytes > MAX_VIDEO_SIZE_BYTES) {
+      output.destroy(sizeLimitError(streamedBytes));
+      controller.abort();
+    }
+  });
+  stdout.pipe(output, { end: false });
+
+  const timer = setTimeout(() => {
+    output.destroy(downloadTimeoutError());
+    controller.abort();
+  }, DOWNLOAD_TIMEOUT_MS);
+
+  done
+    .then(() => output.end(), (error) => output.destroy(error))
+    .finally(() => clearTimeout(timer));
+
+  return {
+    stream: output,
+    filename: `${sanitizeFilename(info.title || platform)}.${ext}`,
+    contentLength: format && !format.filesizeApprox ? format.filesize : null,
+    platform,
+    title: info.title
+  };
+};
+
+module.exports = {
+  DOWNLOAD_DIR,
+  MAX_VIDEO_SIZE_MB,
+  MAX_VIDEO_SIZE_BYTES,
+  DOWNLOAD_TIMEOUT_MS,
+  isYtDlpAvailable,
+  sanitizeFilename,
+  formatDuration,
+  formatFileSize,
+  withPrefix,
+  sizeLimitError,
+  downloadTimeoutError,
+  getInfoWithYtDlp,
+  downloadWithYtDlp,
+  streamWithYtDlp
+};
@@ -0,0 +1,123 @@
+/**
+ * Error taxonomy
+ * Every failure reaching a client carries a stable code, the HTTP status
+ * for that code and whether retrying the same request may succeed
+ */
+
+// code -> { statusCode, retryable }
+const ERROR_TYPES = {
+  // Request problems the client has to fix
+  VALIDATION_FAILED: { statusCode: 400, retryable: false },
+  INVALID_URL: { statusCode: 400, retryable: false },
+  UNSUPPORTED_PLATFORM: { statusCode: 400, retryable: false },
+  UNSUPPORTED_URL: { statusCode: 400, retryable: false },
+  TOO_MANY_REDIRECTS: { statusCode: 400, retryable: false },
+  FORMAT_UNAVAILABLE: { statusCode: 400, retryable: false },
+
+  // The media exists but cannot be served
+  MEDIA_NOT_FOUND: { statusCode: 404, retryable: false },
+  MEDIA_PRIVATE: { statusCode: 403, retryable: false },
+  LOGIN_REQUIRED: { statusCode: 403, retryable: false },
+  GEO_BLOCKED: { statusCode: 451, retryable: false },
+  TOO_LARGE: { statusCode: 413, retryable: false },
+
+  // Resources of this API
+  NOT_FOUND: { statusCode: 404, retryable: false },
+  BUNDLE_NOT_FOUND: { statusCode: 404, retryable: false },
+  BUNDLE_EXPIRED: { statusCode: 410, retryable: false },
+  LINK_INVALID: { statusCode: 403, retryable: false },
+  LINK_EXPIRED: { statusCode: 410, retryable: false },
+  LINK_USED: { statusCode: 410, retryable: false },
+  CANCELLED: { statusCode: 409, retryable: true },
+  RATE_LIMITED: { statusCode: 429, retryable: true },
+
+  // API keys
+  UNAUTHORIZED: { statusCode: 401, retryable: false },
+  FORBIDDEN: { statusCode: 403, retryable: false },
+  PLATFORM_NOT_ALLOWED: { statusCode: 403, retryable: false },
+  QUOTA_EXCEEDED: { statusCode: 429, retryable: false },
+
+  // Upstream and server side failures
+  TIMEOUT: { statusCode: 504, retryable: true },
+  UPSTREAM_RATE_LIMITED: { statusCode: 429, retryable: true },
+  UPSTREAM_UNAVAILABLE: { statusCode: 502, retryable: true },
+  YTDLP_FAILED: { statusCode: 502, retryable: true },
+  FFMPEG_FAILED: { statusCode: 500, retryable: false },
+  DEPENDENCY_MISSING: { statusCode: 503, retryable: false },
+  INTERNAL_ERROR: { statusCode: 500, retryable: false }
+};
+
+// Known yt-dlp and play-dl error messages, first match wins
+const KNOWN_MESSAGES = [
+  { code: 'UPSTREAM_RATE_LIMITED', pattern: /HTTP Error 429|Too Many Requests|rate-limit reached|got 429/i },
+  { code: 'GEO_BLOCKED', pattern: /not available in your country|geo[- ]?restrict|blocked it in your country/i },
+  { code: 'MEDIA_PRIVATE', pattern: /private video|video is private|account is private|this post is private/i },
+  { code: 'LOGIN_REQUIRED', pattern: /sign in to confirm|login required|log in to|--cookies|age-restricted|confirm your age/i },
+  { code: 'UNSUPPORTED_URL', pattern: /Unsupported URL/i },
+  { code: 'TOO_LARGE', pattern: /larger than max-filesize/i },
+  { code: 'FORMAT_UNAVAILABLE', pattern: /Requested format is not available/i },
+  { code: 'MEDIA_NOT_FOUND', pattern: /video unavailable|has been removed|does not exist|HTTP Error 404|not found/i }
+];
+
+// Network failures while talking to a platform
+const NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+class AppError extends Error {
+  /**
+   * @param {string} code - One of ERROR_TYPES
+   * @param {string} message - Readable message for the client
+   * @param {*} details - Sent to the client as "details" (validation issues...)
+   */
+  constructor(code, message, details = null) {
+    super(message);
+    const type = ERROR_TYPES[code] || ERROR_TYPES.INTERNAL_ERROR;
+
+    this.name = 'AppError';
+    this.code = code;
+    this.statusCode = type.statusCode;
+    this.retryable = type.retryable;
+    this.details = details;
+  }
+}
+
+/**
+ * Error code matching a yt-dlp stderr or play-dl message, null when unknown
+ */
+const classifyMessage = (message = '') => {
+  const known = KNOWN_MESSAGES.find(({ pattern }) => pattern.test(message));
+  return known ? known.code : null;
+};
+
+/**
+ * Typed version of any error thrown by the services or a library
+ * Unknown errors become INTERNAL_ERROR and keep their stack
+ */
+const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+
+  let code = 'INTERNAL_ERROR';
+  if (ERROR_TYPES[error.code]) code = error.code;
+  else if (NETWORK_ERRORS.includes(error.code) || error.response?.status >= 500) code = 'UPSTREAM_UNAVAILABLE';
+  else if (error.response?.status === 429) code = 'UPSTREAM_RATE_LIMITED';
+  else code = classifyMessage(error.message) || code;
+
+  const typed = new AppError(code, error.message || 'Internal Server Error');
+  typed.stack = error.stack;
+  return typed;
+};
+
+/**
+ * Error fields for per-item results (batches, bulk downloads, jobs)
+ */
+const describeError = (error) => {
+  const typed = toAppError(error);
+  return { error: typed.message, errorCode: typed.code, retryable: typed.retryable };
+};
+
+module.exports = {
+  AppError,
+  ERROR_TYPES,
+  classifyMessage,
+  toAppError,
+  describeError
+};
@@ -0,0 +1,198 @@
+const { AppError } = require('./errors');
+
+/**
+ * Format listing and selection shared by every download backend
+ */
+
+// Labels accepted by the "quality" option, lowest to highest
+const QUALITY_LABELS = ['144p', '240p', '360p', '480p', '720p', '1080p', '1440p', '2160p'];
+const QUALITY_KEYWORDS = ['highest', 'lowest'];
+
+// Audio-only extraction ("format": "audio")
+const AUDIO_CODECS = ['mp3', 'm4a', 'opus'];
+const DEFAULT_AUDIO_CODEC = 'mp3';
+const DEFAULT_AUDIO_BITRATE = 192; // kbit/s
+
+// yt-dlp selectors used when no exact resolution is requested
+const KEYWORD_SELECTORS = {
+  highest: 'bv*+ba/b',
+  lowest: 'wv*+wa/w'
+};
+
+/**
+ * Error for a format or quality the media does not offer (FORMAT_UNAVAILABLE)
+ */
+const formatUnavailable = (message) => new AppError('FORMAT_UNAVAILABLE', message);
+
+/**
+ * Quality label of a video format, based on its short side so that
+ * portrait videos (1080x1920) are labelled 1080p
+ */
+const qualityLabel = (width, height) => {
+  const shortSide = width && height ? Math.min(width, height) : height;
+  return shortSide ? `${shortSide}p` : null;
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// FORMAT NORMALIZATION
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Normalize the "formats" array of yt-dlp --dump-json
+ */
+const normalizeYtDlpFormats = (formats = []) => {
+  return formats
+    .filter(f => f.format_id && f.protocol !== 'mhtml') // Skip storyboards
+    .map(f => {
+      const hasVideo = !!f.vcodec && f.vcodec !== 'none';
+      const hasAudio = !!f.acodec && f.acodec !== 'none';
+
+      return {
+        formatId: String(f.format_id),
+        ext: f.ext || null,
+        quality: hasVideo ? qualityLabel(f.width, f.height) : null,
+        resolution: hasVideo && f.width && f.height ? `${f.width}x${f.height}` : (hasVideo ? null : 'audio only'),
+        width: f.width || null,
+        height: f.height || null,
+        fps: f.fps || null,
+        vcodec: hasVideo ? f.vcodec : null,
+        acodec: hasAudio ? f.acodec : null,
+        bitrate: f.tbr || f.vbr || f.abr || null, // kbit/s
+        filesize: f.filesize || f.filesize_approx || null,
+        filesizeApprox: !f.filesize && !!f.filesize_approx,
+        // TikTok lists its watermarked "download" address next to the clean play addresses
+        watermarked: /watermark/i.test(f.format_note || ''),
+        hasVideo,
+        hasAudio
+      };
+    });
+};
+
+/**
+ * Normalize the "format" array of play-dl video_info()
+ */
+const normalizePlayDlFormats = (formats = []) => {
+  return formats
+    .filter(f => f.itag && f.mimeType)
+    .map(f => {
+      // e.g. 'video/mp4; codecs="avc1.4d401f, mp4a.40.2"'
+      const [container, codecList = ''] = f.mimeType.split(';');
+      const codecs = (codecList.match(/codecs="([^"]*)"/)?.[1] || '').split(',').map(c => c.trim()).filter(Boolean);
+      const hasVideo = container.startsWith('video/');
+      const hasAudio = container.startsWith('audio/') || codecs.length > 1;
+
+      return {
+        formatId: String(f.itag),
+        ext: container.split('/')[1] || null,
+        quality: hasVideo ? qualityLabel(f.width, f.height) : null,
+        resolution: hasVideo && f.width && f.height ? `${f.width}x${f.height}` : (hasVideo ? null : 'audio only'),
+        width: f.width || null,
+        height: f.height || null,
+        fps: f.fps || null,
+        vcodec: hasVideo ? codecs[0] || null : null,
+        acodec: hasAudio ? codecs[codecs.length - 1] || null : null,
+        bitrate: f.bitrate ? Math.round(f.bitrate / 1000) : null, // kbit/s
+        filesize: parseInt(f.contentLength) || null,
+        filesizeApprox: false,
+        watermarked: false,
+        hasVideo,
+        hasAudio
+      };
+    });
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// FORMAT SELECTION
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Quality labels that actually exist in a format list
+ */
+const availableQualities = (formats) => {
+  const labels = new Set(formats.map(f => f.quality).filter(Boolean));
+  return QUALITY_LABELS.filter(label => labels.has(label));
+};
+
+/**
+ * yt-dlp "-f" selector for a single format, adding the best audio track
+ * when the format is video only
+ */
+const selectorFor = (format) => {
+  return format.hasVideo && !format.hasAudio
+    ? `${format.formatId}+ba/${format.formatId}`
+    : format.formatId;
+};
+
+/**
+ * Turn the requested quality label or format id into a yt-dlp format selector
+ * Returns null when nothing was requested (backend default applies)
+ * Throws a 400 error when the requested quality/format does not exist
+ */
+const resolveFormatSelector = ({ quality, formatId } = {}, formats = []) => {
+  if (formatId) {
+    // Merged requests like "137+140" must reference existing formats
+    const missing = formatId.split('+').filter(id => !formats.some(f => f.formatId === id));
+    if (missing.length > 0) {
+      throw formatUnavailable(`Format '${missing.join(', ')}' is not available for this media`);
+    }
+
+    const format = formats.find(f => f.formatId === formatId);
+    return format ? selectorFor(format) : formatId;
+  }
+
+  if (!quality) return null;
+  if (KEYWORD_SELECTORS[quality]) return KEYWORD_SELECTORS[quality];
+
+  // Prefer formats that already contain audio, then the highest bitrate
+  const candidates = formats
+    .filter(f => f.quality === quality)
+    .sort((a, b) => (b.hasAudio - a.hasAudio) || ((b.bitrate || 0) - (a.bitrate || 0)));
+
+  if (candidates.length === 0) {
+    const available = [...availableQualities(formats), ...QUALITY_KEYWORDS];
+    throw formatUnavailable(`Quality '${quality}' is not available for this media. Available: ${available.join(', ')}`);
+  }
+
+  return selectorFor(candidates[0]);
+};
+
+/**
+ * Single format that can be piped as is: video with its audio, or audio only
+ * (merging two tracks needs files on disk)
+ * Returns null when the list has no such format (yt-dlp picks one itself)
+ * Throws FORMAT_UNAVAILABLE when the requested quality has no single-file format
+ */
+const selectStreamFormat = ({ quality, format } = {}, formats = []) => {
+  const bySize = (a, b) => ((a.width || 0) * (a.height || 0) - (b.width || 0) * (b.height || 0))
+    || ((a.bitrate || 0) - (b.bitrate || 0));
+
+  if (format === 'audio') {
+    const audio = formats.filter(f => f.hasAudio && !f.hasVideo).sort(bySize);
+    return audio[audio.length - 1] || null;
+  }
+
+  const complete = formats.filter(f => f.hasVideo && f.hasAudio).sort(bySize);
+  if (!quality || quality === 'highest') return complete[complete.length - 1] || null;
+  if (quality === 'lowest') return complete[0] || null;
+
+  const matching = complete.filter(f => f.quality === quality);
+  if (matching.length === 0) {
+    const available = [...availableQualities(complete), ...QUALITY_KEYWORDS];
+    throw formatUnavailable(`Quality '${quality}' is not available as a single stream. Available: ${available.join(', ')}`);
+  }
+
+  return matching[matching.length - 1];
+};
+
+module.exports = {
+  QUALITY_LABELS,
+  QUALITY_KEYWORDS,
+  AUDIO_CODECS,
+  DEFAULT_AUDIO_CODEC,
+  DEFAULT_AUDIO_BITRATE,
+  normalizeYtDlpFormats,
+  normalizePlayDlFormats,
+  availableQualities,
+  resolveFormatSelector,
+  selectStreamFormat
+};
@@ -0,0 +1,15 @@
+/**
+ * Download progress payload shared by every download backend
+ * speed in bytes/s, eta in seconds
+ */
+const buildProgress = (downloadedBytes, totalBytes, speed, eta) => ({
+  downloadedBytes,
+  totalBytes: totalBytes || null,
+  percent: totalBytes ? Math.min(100, Math.round((downloadedBytes / totalBytes) * 1000) / 10) : null,
+  speed: speed ? Math.round(speed) : null,
+  eta: Number.isFinite(eta) ? Math.round(eta) : null
+});
+
+module.exports = {
+  buildProgress
+};
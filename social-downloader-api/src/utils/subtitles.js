@@ -0,0 +1,127 @@
+const fs = require('fs');
+const { AppError } = require('./errors');
+
+/**
+ * Subtitle and caption tracks
+ * Listing from yt-dlp --dump-json, yt-dlp arguments for the download and
+ * the plain text conversion yt-dlp does not offer
+ */
+
+// "format" of the subtitles download option
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'txt'];
+const DEFAULT_SUBTITLE_FORMAT = 'srt';
+const MAX_SUBTITLE_LANGUAGES = 20;
+
+// Pseudo tracks yt-dlp lists next to real subtitles
+const IGNORED_TRACKS = ['live_chat', 'rechat'];
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// LISTING
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const normalizeTracks = (tracks = {}) => {
+  return Object.entries(tracks || {})
+    .filter(([language, formats]) => !IGNORED_TRACKS.includes(language) && formats?.length > 0)
+    .map(([language, formats]) => ({
+      language,
+      name: formats.find(f => f.name)?.name || language,
+      formats: [...new Set(formats.map(f => f.ext).filter(Boolean))]
+    }))
+    .sort((a, b) => a.language.localeCompare(b.language));
+};
+
+/**
+ * Normalize the "subtitles" and "automatic_captions" of yt-dlp --dump-json
+ * @returns {{manual: Object[], automatic: Object[]}} Tracks as { language, name, formats }
+ */
+const normalizeYtDlpSubtitles = (info) => ({
+  manual: normalizeTracks(info.subtitles),
+  automatic: normalizeTracks(info.automatic_captions)
+});
+
+/**
+ * Check requested languages against the listed tracks (FORMAT_UNAVAILABLE otherwise)
+ * @param {Object} subtitles - subtitles download option ({ languages, auto })
+ * @param {Object} available - normalizeYtDlpSubtitles() result
+ */
+const checkSubtitleLanguages = ({ languages, auto = false }, available) => {
+  const manual = available.manual.map(track => track.language);
+  const automatic = available.automatic.map(track => track.language);
+  const usable = auto ? [...manual, ...automatic] : manual;
+
+  const missing = languages.filter(language => !usable.includes(language));
+  if (missing.length === 0) return;
+
+  const hint = !auto && missing.some(language => automatic.includes(language))
+    ? ', auto-generated captions exist, set "auto": true to use them'
+    : '';
+  throw new AppError('FORMAT_UNAVAILABLE',
+    `No subtitles for: ${missing.join(', ')} (available: ${[...new Set(usable)].join(', ') || 'none'}${hint})`);
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// DOWNLOAD
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * yt-dlp arguments for the subtitles download option
+ * Embedded tracks go into the video container (mp4: mov_text), separate ones
+ * are converted with ffmpeg; plain text is made from SRT afterwards
+ */
+const buildSubtitleArgs = ({ languages, format = DEFAULT_SUBTITLE_FORMAT, embed = false, auto = false }) => {
+  const args = ['--sub-langs', languages.join(',')];
+
+  if (auto) args.push('--write-auto-subs');
+
+  if (embed) {
+    args.push('--embed-subs');
+  } else {
+    args.push('--write-subs', '--convert-subs', format === 'txt' ? 'srt' : format);
+  }
+  return args;
+};
+
+/**
+ * Spoken text of an SRT file: no cue numbers, timings or markup, and
+ * the repeated lines of rolling auto-generated captions only once
+ */
+const srtToText = (srt) => {
+  const lines = srt
+    .replace(/\r/g, '')
+    .split('\n')
+    .map(line => line.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '').trim())
+    .filter(line => line && !/^\d+$/.test(line) && !line.includes('-->'));
+
+  return lines.filter((line, i) => line !== lines[i - 1]).join('\n') + '\n';
+};
+
+/**
+ * Replace an SRT file by its plain text version
+ * @returns {string} Path of the .txt file
+ */
+const convertSrtToText = (srtPath) => {
+  const textPath = srtPath.replace(/\.srt$/, '.txt');
+  fs.writeFileSync(textPath, srtToText(fs.readFileSync(srtPath, 'utf8')));
+  fs.unlinkSync(srtPath);
+  return textPath;
+};
+
+/**
+ * Language of a subtitle file written by yt-dlp ("Title_123.en.srt" -> "en"), null for other files
+ */
+const subtitleLanguage = (filename) => {
+  const match = /\.([A-Za-z0-9_-]+)\.(srt|vtt|txt)$/.exec(filename);
+  return match ? match[1] : null;
+};
+
+module.exports = {
+  SUBTITLE_FORMATS,
+  DEFAULT_SUBTITLE_FORMAT,
+  MAX_SUBTITLE_LANGUAGES,
+  normalizeYtDlpSubtitles,
+  checkSubtitleLanguages,
+  buildSubtitleArgs,
+  srtToText,
+  convertSrtToText,
+  subtitleLanguage
+};
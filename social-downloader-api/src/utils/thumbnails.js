@@ -0,0 +1,35 @@
+/**
+ * Thumbnail lists
+ * yt-dlp and play-dl list several sizes of the same thumbnail, smallest
+ * first and not always with dimensions
+ */
+
+/**
+ * Thumbnails as { url, width, height }, largest first
+ * Without dimensions the platform's own order (worst to best) decides
+ * @param {Object[]} thumbnails - yt-dlp "thumbnails" or play-dl "thumbnails"
+ */
+const normalizeThumbnails = (thumbnails = []) => {
+  return (thumbnails || [])
+    .filter(thumbnail => thumbnail?.url)
+    .map((thumbnail, index) => ({
+      url: thumbnail.url,
+      width: thumbnail.width || null,
+      height: thumbnail.height || null,
+      rank: (thumbnail.width || 0) * (thumbnail.height || 0),
+      preference: thumbnail.preference ?? 0,
+      index
+    }))
+    .sort((a, b) => b.rank - a.rank || b.preference - a.preference || b.index - a.index)
+    .map(({ url, width, height }) => ({ url, width, height }));
+};
+
+/**
+ * URL of the largest thumbnail, null when there is none
+ */
+const bestThumbnailUrl = (thumbnails) => normalizeThumbnails(thumbnails)[0]?.url || null;
+
+module.exports = {
+  normalizeThumbnails,
+  bestThumbnailUrl
+};
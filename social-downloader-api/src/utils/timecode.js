@@ -0,0 +1,41 @@
+/**
+ * Clip times
+ * Requests give them as seconds (90, 12.5) or timecodes ("1:30", "00:01:30.5"),
+ * yt-dlp and ffmpeg get them back as HH:MM:SS.mmm
+ */
+
+// [[HH:]MM:]SS[.fraction], minutes and seconds below 60 when a larger unit is given
+const TIMECODE_PATTERN = /^(?:(?:(\d+):)?([0-5]?\d):)?([0-5]?\d(?:\.\d{1,3})?)$/;
+
+/**
+ * Seconds for a number or timecode string, null when it cannot be read
+ */
+const parseTimecode = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+  // Plain seconds may go over 59 ("90")
+  if (/^\d+(\.\d{1,3})?$/.test(trimmed)) return parseFloat(trimmed);
+
+  const match = TIMECODE_PATTERN.exec(trimmed);
+  if (!match) return null;
+
+  const [, hours = 0, minutes = 0, seconds] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + parseFloat(seconds);
+};
+
+/**
+ * HH:MM:SS.mmm for seconds (93.5 -> "00:01:33.500")
+ */
+const formatTimecode = (seconds) => {
+  const millis = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  return `${pad(Math.floor(millis / 3600000))}:${pad(Math.floor(millis / 60000) % 60)}:${pad(Math.floor(millis / 1000) % 60)}.${pad(millis % 1000, 3)}`;
+};
+
+module.exports = {
+  parseTimecode,
+  formatTimecode
+};
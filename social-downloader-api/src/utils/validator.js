@@ -1,5 +1,25 @@
 const { z } = require('zod');
 const logger = require('../Logger/logger');  
+const { AppError } = require('./errors');
+const { QUALITY_LABELS, QUALITY_KEYWORDS, AUDIO_CODECS } = require('./formats');
+const { SUBTITLE_FORMATS, MAX_SUBTITLE_LANGUAGES } = require('./subtitles');
+const { MAX_PAGE_SIZE, MAX_BULK_ITEMS } = require('../services/collection.service');
+const { MAX_BATCH_URLS } = require('../services/batch.service');
+const { MAX_HISTORY_PAGE_SIZE } = require('../services/history.service');
+const {
+  MAX_POSTPROCESS_STEPS,
+  CONTAINERS,
+  VIDEO_CODECS,
+  TRANSCODE_AUDIO_CODECS
+} = require('../services/postprocess.service');
+const {
+  ASSET_TYPES,
+  ASSET_FORMATS,
+  MAX_THUMBNAIL_WIDTH,
+  MAX_SHEET_GRID,
+  MAX_PREVIEW_FRAMES
+} = require('../services/thumbnail.service');
+const { parseTimecode } = require('./timecode');
 
 // Define URL validation schema
 const urlSchema = z.object({
@@ -9,27 +29,195 @@ const urlSchema = z.object({
     .min(10, 'URL is too short')
 });
 
+// Seconds or a "HH:MM:SS" timecode, passed on as seconds
+const timeSchema = z.union([z.number(), z.string()]).transform((value, ctx) => {
+  const seconds = parseTimecode(value);
+  if (seconds === null) {
+    ctx.addIssue({ code: 'custom', message: 'Must be seconds (e.g. 90) or a HH:MM:SS timecode' });
+    return z.NEVER;
+  }
+  return seconds;
+});
+
+// One step of the post-processing pipeline, run in the given order
+const postprocessStepSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('remux'),
+    container: z.enum(CONTAINERS)
+  }),
+  z.object({
+    type: z.literal('transcode'),
+    videoCodec: z.enum(VIDEO_CODECS).optional(),
+    audioCodec: z.enum(TRANSCODE_AUDIO_CODECS).optional(),
+    height: z.number().int().min(144).max(2160).optional(),
+    container: z.enum(CONTAINERS).optional()
+  }),
+  z.object({
+    type: z.literal('compress'),
+    targetSizeMB: z.number().min(1, 'Target size must be at least 1 MB')
+  }),
+  z.object({
+    type: z.literal('metadata'),
+    mode: z.enum(['strip', 'keep'])
+  })
+]);
+
+// Paging for playlist, channel and profile URLs
+const analyzeSchema = urlSchema.extend({
+  page: z.number().int().min(1).optional(),
+  pageSize: z.number().int().min(1).max(MAX_PAGE_SIZE).optional(),
+  // List subtitle tracks where it costs an extra request (YouTube)
+  subtitles: z.boolean().optional()
+});
+
+// Download options on top of the URL
+const downloadSchema = urlSchema.extend({
+  quality: z.enum([...QUALITY_LABELS, ...QUALITY_KEYWORDS], {
+    errorMap: () => ({ message: `Quality must be one of: ${[...QUALITY_LABELS, ...QUALITY_KEYWORDS].join(', ')}` })
+  }).optional(),
+  formatId: z.string()
+    .trim()
+    .regex(/^[A-Za-z0-9_.+-]+$/, 'Format id may only contain letters, digits, "_", ".", "-" and "+"')
+    .optional(),
+  format: z.enum(['video', 'audio']).optional(),
+  audioCodec: z.enum(AUDIO_CODECS).optional(),
+  audioBitrate: z.number()
+    .int()
+    .min(32, 'Audio bitrate must be at least 32 kbit/s')
+    .max(320, 'Audio bitrate must be at most 320 kbit/s')
+    .optional(),
+  // Bulk mode for collections: 1-based indexes / entry ids, or a from/to range of indexes
+  items: z.array(z.union([z.number().int().min(1), z.string().trim().min(1)]))
+    .max(MAX_BULK_ITEMS, `At most ${MAX_BULK_ITEMS} items can be selected`)
+    .optional(),
+  from: z.number().int().min(1, 'Entry indexes start at 1').optional(),
+  to: z.number().int().min(1, 'Entry indexes start at 1').optional(),
+  // Clip times, applied to every entry of a collection
+  start: timeSchema.optional(),
+  end: timeSchema.optional(),
+  // Re-encode around the cut points instead of cutting on keyframes
+  accurateCut: z.boolean().optional(),
+  // Remux, transcode, compress and metadata steps on the downloaded file
+  postprocess: z.array(postprocessStepSchema)
+    .max(MAX_POSTPROCESS_STEPS, `At most ${MAX_POSTPROCESS_STEPS} post-processing steps`)
+    .refine(steps => steps.every(step => step.type !== 'transcode' || step.videoCodec || step.audioCodec || step.height), {
+      message: 'A transcode step needs videoCodec, audioCodec or height'
+    })
+    .optional(),
+  // TikTok: false (default) delivers a watermark-free variant when one exists
+  watermark: z.boolean().optional(),
+  // Subtitle tracks (languages from /analyze), as separate files or embedded into the video
+  subtitles: z.object({
+    languages: z.array(z.string()
+      .trim()
+      .regex(/^[A-Za-z0-9_-]+$/, 'Language codes may only contain letters, digits, "_" and "-"'))
+      .min(1, 'At least one language is required')
+      .max(MAX_SUBTITLE_LANGUAGES, `At most ${MAX_SUBTITLE_LANGUAGES} languages can be selected`),
+    format: z.enum(SUBTITLE_FORMATS).optional(),
+    embed: z.boolean().optional(),
+    // Use auto-generated captions for languages without a manual track
+    auto: z.boolean().optional()
+  }).refine(subtitles => !(subtitles.embed && subtitles.format === 'txt'), {
+    message: 'Plain text subtitles cannot be embedded',
+    path: ['format']
+  }).optional(),
+  // One zip link for all produced files
+  bundle: z.enum(['zip']).optional(),
+  // Download links stop working after one complete download
+  singleUse: z.boolean().optional()
+});
+
+// A job downloads one media URL, so it takes no collection selection or bundle
+const jobSchema = downloadSchema.omit({ items: true, from: true, to: true, bundle: true });
+
+// Query string of GET /stream (a single file, so no format ids or bulk options)
+const streamSchema = urlSchema.extend({
+  quality: downloadSchema.shape.quality,
+  format: downloadSchema.shape.format
+});
+
+// Query string of GET /thumbnail, the allowed formats depend on the type
+const thumbnailSchema = urlSchema.extend({
+  type: z.enum(ASSET_TYPES).default('thumbnail'),
+  format: z.enum([...new Set(Object.values(ASSET_FORMATS).flat())]).optional(),
+  width: z.coerce.number().int().min(16).max(MAX_THUMBNAIL_WIDTH).optional(),
+  height: z.coerce.number().int().min(16).max(MAX_THUMBNAIL_WIDTH).optional(),
+  // Contact sheet grid
+  columns: z.coerce.number().int().min(1).max(MAX_SHEET_GRID).optional(),
+  rows: z.coerce.number().int().min(1).max(MAX_SHEET_GRID).optional(),
+  // Animated preview length
+  frames: z.coerce.number().int().min(2).max(MAX_PREVIEW_FRAMES).optional()
+}).refine(query => !query.format || ASSET_FORMATS[query.type].includes(query.format), {
+  message: 'Format not available for this type (thumbnail: original, jpeg, webp; sheet: jpeg, webp; preview: webp, gif)',
+  path: ['format']
+});
+
+// Batch of URLs: strings or { url, ...options }, each item is validated on its own
+const batchSchema = z.object({
+  urls: z.array(z.union([z.string(), z.object({}).passthrough()]))
+    .min(1, 'At least one URL is required')
+    .max(MAX_BATCH_URLS, `At most ${MAX_BATCH_URLS} URLs per batch`),
+  // Defaults for every item
+  options: z.object({}).passthrough().optional(),
+  bundle: z.enum(['zip']).optional()
+});
+
+// Query string of GET /history
+const historySchema = z.object({
+  platform: z.string().trim().toLowerCase().optional(),
+  status: z.enum(['done', 'failed', 'cancelled']).optional(),
+  action: z.enum(['analyze', 'download']).optional(),
+  from: z.coerce.date({ message: 'Must be an ISO 8601 date' }).optional(),
+  to: z.coerce.date({ message: 'Must be an ISO 8601 date' }).optional(),
+  q: z.string().trim().min(1).max(200).optional(),
+  page: z.coerce.number().int().min(1).optional(),
+  pageSize: z.coerce.number().int().min(1).max(MAX_HISTORY_PAGE_SIZE).optional()
+});
+
+// Options overriding the recorded ones on POST /history/:id/redownload (the body may be empty)
+const redownloadSchema = downloadSchema.pick({
+  quality: true,
+  formatId: true,
+  format: true,
+  audioCodec: true,
+  audioBitrate: true,
+  subtitles: true,
+  start: true,
+  end: true,
+  accurateCut: true,
+  postprocess: true,
+  watermark: true,
+  singleUse: true
+}).default({});
+
+// POST /admin/keys, omitted limits use the API_KEY_* defaults and null means unlimited
+const apiKeySchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100),
+  rateLimitPerMinute: z.number().int().min(1).max(10000).optional(),
+  dailyDownloads: z.number().int().min(0).nullable().optional(),
+  dailyMB: z.number().min(0).nullable().optional(),
+  // Platform ids ("youtube"), omitted for every platform
+  allowedPlatforms: z.array(z.string().trim().toLowerCase().min(1)).optional()
+});
+
 /**
  * Middleware to validate request body against schema
  * @param {ZodSchema} schema - Zod schema to validate against
+ * @param {string} source - Request property to validate ("body" or "query")
  */
-const validate = (schema) => {
+const validate = (schema, source = 'body') => {
   return (req, res, next) => {
     try {
-      const validatedData = schema.parse(req.body);
+      const validatedData = schema.parse(req[source]);
       req.validatedData = validatedData;
       next();
     } catch (error) {
       logger.warn(`Validation error: ${error.message}`);
-      
-      return res.status(400).json({
-        success: false,
-        error: 'Validation failed',
-        details: error.errors.map(e => ({
-          field: e.path.join('.'),
-          message: e.message
-        }))
-      });
+
+      return next(new AppError('VALIDATION_FAILED', 'Validation failed', error.issues.map(e => ({
+        field: e.path.join('.'),
+        message: e.message
+      }))));
     }
   };
 };
@@ -39,8 +227,71 @@ const validate = (schema) => {
  */
 const validateUrl = validate(urlSchema);
 
+/**
+ * Middleware for analyze requests (URL + collection paging)
+ */
+const validateAnalyze = validate(analyzeSchema);
+
+/**
+ * Middleware for download requests (URL + quality/format options)
+ */
+const validateDownload = validate(downloadSchema);
+
+/**
+ * Middleware for job requests (download options without collection fields)
+ */
+const validateJob = validate(jobSchema);
+
+/**
+ * Middleware for GET /stream (query string)
+ */
+const validateStream = validate(streamSchema, 'query');
+
+/**
+ * Middleware for GET /thumbnail (query string)
+ */
+const validateThumbnail = validate(thumbnailSchema, 'query');
+
+/**
+ * Middleware for batch requests (list shape only, items are checked per URL)
+ */
+const validateBatch = validate(batchSchema);
+
+/**
+ * Middleware for GET /history (query string)
+ */
+const validateHistory = validate(historySchema, 'query');
+
+/**
+ * Middleware for re-downloads of a history entry
+ */
+const validateRedownload = validate(redownloadSchema);
+
+/**
+ * Middleware for API key creation
+ */
+const validateApiKey = validate(apiKeySchema);
+
 module.exports = {
   validate,
   validateUrl,
-  urlSchema
+  validateAnalyze,
+  validateDownload,
+  validateJob,
+  validateBatch,
+  validateStream,
+  validateThumbnail,
+  validateApiKey,
+  validateHistory,
+  validateRedownload,
+  urlSchema,
+  analyzeSchema,
+  downloadSchema,
+  jobSchema,
+  streamSchema,
+  thumbnailSchema,
+  batchSchema,
+  historySchema,
+  redownloadSchema,
+  apiKeySchema
 };
@@ -0,0 +1,103 @@
+const os = require('os');
+const path = require('path');
+process.env.API_KEYS_FILE = path.join(os.tmpdir(), `api-keys-test-${process.pid}.json`);
+process.env.RATE_LIMIT_MAX_REQUESTS = '2';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const router = require('../src/routes/downloader.routes');
+const errorHandler = require('../src/middlewares/error.middleware');
+const {
+  createApiKey,
+  revokeApiKey,
+  findApiKey,
+  authenticate,
+  authorizeMedia,
+  recordDownloads,
+  getUsage
+} = require('../src/services/apiKey.service');
+
+const VIDEO_URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+const MB = 1024 * 1024;
+
+test('authenticate counts requests, revoked keys are rejected', () => {
+  const { key, apiKey } = createApiKey({ name: 'auth' });
+
+  authenticate(key);
+  const record = authenticate(key);
+  assert.strictEqual(getUsage(record).usage.requests, 2);
+
+  revokeApiKey(apiKey.id);
+  assert.strictEqual(findApiKey(key), null);
+  assert.throws(() => authenticate(key), { code: 'UNAUTHORIZED' });
+  assert.throws(() => authenticate('sdk_unknown'), { code: 'UNAUTHORIZED' });
+});
+
+test('findApiKey does not count the request', () => {
+  const { key } = createApiKey({ name: 'lookup' });
+
+  const record = findApiKey(key);
+  assert.strictEqual(getUsage(record).usage.requests, 0);
+});
+
+test('the daily download quota blocks further downloads', async () => {
+  const { key } = createApiKey({ name: 'downloads', dailyDownloads: 2, dailyMB: null });
+  const record = authenticate(key);
+
+  await authorizeMedia(record, VIDEO_URL, { download: true });
+  recordDownloads(record, [{ filesize: MB }, { filesize: MB }]);
+
+  await assert.rejects(authorizeMedia(record, VIDEO_URL, { download: true }), { code: 'QUOTA_EXCEEDED' });
+  // Analyzing is not a download
+  await authorizeMedia(record, VIDEO_URL);
+  assert.strictEqual(getUsage(record).remaining.downloads, 0);
+});
+
+test('the byte quota counts every produced file and is soft', async () => {
+  const { key } = createApiKey({ name: 'bytes', dailyDownloads: null, dailyMB: 10 });
+  const record = authenticate(key);
+
+  recordDownloads(record, [{ filesize: 4 * MB, files: [{ filesize: 4 * MB }, { filesize: 5 * MB }] }]);
+  await authorizeMedia(record, VIDEO_URL, { download: true });
+
+  // The last allowed download may go over the quota
+  recordDownloads(record, [{ filesize: 3 * MB }]);
+  assert.strictEqual(getUsage(record).usage.bytes, 12 * MB);
+  assert.strictEqual(getUsage(record).remaining.bytes, 0);
+  await assert.rejects(authorizeMedia(record, VIDEO_URL, { download: true }), /byte quota/);
+});
+
+test('keys limited to some platforms are refused the others', async () => {
+  const { key } = createApiKey({ name: 'platforms', allowedPlatforms: ['tiktok'] });
+  const record = authenticate(key);
+
+  await assert.rejects(authorizeMedia(record, VIDEO_URL), { code: 'PLATFORM_NOT_ALLOWED' });
+  await authorizeMedia(record, 'https://www.tiktok.com/@user/video/7234567890123456789');
+
+  assert.throws(() => createApiKey({ name: 'bad', allowedPlatforms: ['myspace'] }), { code: 'VALIDATION_FAILED' });
+});
+
+test('requests without a key are not checked', async () => {
+  await authorizeMedia(undefined, VIDEO_URL, { download: true });
+});
+
+test('guessed keys count against the IP limit, valid keys do not', async () => {
+  const { key } = createApiKey({ name: 'limits' });
+
+  const app = express();
+  app.use('/api/v1', router);
+  app.use(errorHandler);
+  const server = app.listen(0);
+  const usage = (apiKey) => fetch(`http://127.0.0.1:${server.address().port}/api/v1/usage`, {
+    headers: { 'X-API-Key': apiKey }
+  }).then(res => res.status);
+
+  try {
+    assert.deepStrictEqual([await usage('sdk_guess1'), await usage('sdk_guess2')], [401, 401]);
+    assert.strictEqual(await usage('sdk_guess3'), 429);
+    assert.strictEqual(await usage(key), 200);
+  } finally {
+    server.close();
+  }
+});
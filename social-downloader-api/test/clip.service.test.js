@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolveClip, describeClip, buildClipArgs } = require('../src/services/clip.service');
+const { parseTimecode, formatTimecode } = require('../src/utils/timecode');
+const { downloadSchema } = require('../src/utils/validator');
+
+const URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+
+test('parseTimecode reads seconds and timecodes', () => {
+  assert.strictEqual(parseTimecode(90), 90);
+  assert.strictEqual(parseTimecode('90'), 90);
+  assert.strictEqual(parseTimecode('1:30'), 90);
+  assert.strictEqual(parseTimecode('00:01:30.5'), 90.5);
+  assert.strictEqual(parseTimecode('1:75'), null);
+  assert.strictEqual(parseTimecode(-1), null);
+  assert.strictEqual(formatTimecode(93.5), '00:01:33.500');
+});
+
+test('the download schema turns clip times into seconds', () => {
+  assert.deepStrictEqual(
+    downloadSchema.parse({ url: URL, start: '1:30', end: 120 }),
+    { url: URL, start: 90, end: 120 }
+  );
+  assert.strictEqual(downloadSchema.safeParse({ url: URL, start: 'soon' }).success, false);
+});
+
+test('resolveClip fills in missing bounds from the duration', () => {
+  assert.strictEqual(resolveClip({}, 212), null);
+  assert.deepStrictEqual(resolveClip({ start: 30 }, 212), { start: 30, end: 212, accurate: false });
+  assert.deepStrictEqual(resolveClip({ end: 60, accurateCut: true }, 212), { start: 0, end: 60, accurate: true });
+});
+
+test('resolveClip rejects ranges outside the media', () => {
+  const rejects = (options, duration, field) => assert.throws(() => resolveClip(options, duration), (error) => {
+    assert.strictEqual(error.code, 'VALIDATION_FAILED');
+    assert.strictEqual(error.details[0].field, field);
+    return true;
+  });
+
+  rejects({ start: 212 }, 212, 'start');
+  rejects({ end: 213 }, 212, 'end');
+  rejects({ start: 60, end: 60 }, 212, 'end');
+  rejects({ start: 10 }, null, 'start');
+});
+
+test('clip description and yt-dlp range arguments', () => {
+  const clip = resolveClip({ start: 90, end: 120.5, accurateCut: true }, 212);
+
+  assert.deepStrictEqual(describeClip(clip, 'range'), { start: 90, end: 120.5, duration: 30.5, method: 'range', cut: 'reencoded' });
+  assert.deepStrictEqual(buildClipArgs(clip), ['--download-sections', '*00:01:30.000-00:02:00.500', '--force-keyframes-at-cuts']);
+});
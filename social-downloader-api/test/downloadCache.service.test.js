@@ -0,0 +1,109 @@
+process.env.DOWNLOAD_CACHE_MAX_ENTRIES = '2';
+
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const downloader = require('../src/services/downloader.service');
+
+// Downloads that only finish when the test settles them
+const pending = [];
+mock.method(downloader, 'downloadMedia', (url, options) => new Promise((resolve, reject) => {
+  pending.push({ url, signal: options.signal, resolve, reject });
+}));
+mock.method(downloader, 'resolveMediaId', async (url) => ({ platform: 'test', mediaId: url }));
+
+const { downloadWithCache, buildCacheKey, pruneDownloadCache, getDownloadCacheStats } = require('../src/services/downloadCache.service');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const findDownloads = (url) => pending.filter(download => download.url === url);
+
+// Real files in the downloads directory, removed after the tests
+const written = [];
+const writeDownload = (filename) => {
+  fs.mkdirSync(downloader.DOWNLOAD_DIR, { recursive: true });
+  fs.writeFileSync(path.join(downloader.DOWNLOAD_DIR, filename), 'media');
+  written.push(filename);
+  return filename;
+};
+after(() => written.forEach(filename => fs.rmSync(path.join(downloader.DOWNLOAD_DIR, filename), { force: true })));
+
+test('omitted options and their defaults share a cache key', () => {
+  const key = (options) => buildCacheKey('youtube', 'abc', options);
+
+  assert.strictEqual(key({}), key({ format: 'video' }));
+  assert.strictEqual(key({ format: 'audio' }), key({ format: 'audio', audioCodec: 'mp3', audioBitrate: 192 }));
+  assert.strictEqual(key({ audioCodec: 'opus' }), key({}));
+  assert.notStrictEqual(key({ format: 'audio', audioCodec: 'opus' }), key({ format: 'audio' }));
+  assert.notStrictEqual(key({ quality: '720p' }), key({}));
+  assert.strictEqual(
+    key({ subtitles: { languages: ['en'] } }),
+    key({ subtitles: { languages: ['en'], format: 'srt', embed: false, auto: false } })
+  );
+  assert.notStrictEqual(key({ subtitles: { languages: ['en'] } }), key({}));
+  assert.strictEqual(key({ start: 90 }), key({ start: 90, accurateCut: false }));
+  assert.notStrictEqual(key({ start: 90 }), key({ start: 90, end: 120 }));
+  assert.strictEqual(key({ postprocess: [] }), key({}));
+  assert.strictEqual(key({ watermark: false }), key({}));
+  assert.notStrictEqual(key({ watermark: true }), key({}));
+});
+
+test('identical requests share one download and later ones hit the cache', async () => {
+  const url = 'https://example.com/shared';
+  const first = downloadWithCache(url);
+  const second = downloadWithCache(url, { format: 'video' });
+  await tick();
+
+  assert.strictEqual(findDownloads(url).length, 1);
+  findDownloads(url)[0].resolve({ filename: writeDownload(`cache-test-${process.pid}-shared.mp4`) });
+
+  assert.strictEqual((await first).cached, false);
+  assert.strictEqual((await second).cached, false);
+
+  const third = await downloadWithCache(url);
+  assert.strictEqual(third.cached, true);
+  assert.strictEqual(findDownloads(url).length, 1);
+});
+
+test('the shared download is only aborted when every waiter cancelled', async () => {
+  const url = 'https://example.com/cancel';
+  const controllers = [new AbortController(), new AbortController()];
+  const waiters = controllers.map(controller => downloadWithCache(url, { signal: controller.signal }));
+  await tick();
+  const [download] = findDownloads(url);
+
+  controllers[0].abort();
+  await assert.rejects(waiters[0], /cancelled/);
+  assert.strictEqual(download.signal.aborted, false);
+
+  controllers[1].abort();
+  await assert.rejects(waiters[1], /cancelled/);
+  assert.strictEqual(download.signal.aborted, true);
+
+  download.reject(new Error('killed'));
+});
+
+test('keeps at most DOWNLOAD_CACHE_MAX_ENTRIES and forgets removed files', async () => {
+  pruneDownloadCache();
+
+  const urls = ['a', 'b', 'c'].map(name => `https://example.com/lru/${name}`);
+  for (const url of urls) {
+    const request = downloadWithCache(url);
+    await tick();
+    findDownloads(url)[0].resolve({ filename: writeDownload(`cache-test-${process.pid}-${url.slice(-1)}.mp4`) });
+    await request;
+  }
+
+  assert.strictEqual(getDownloadCacheStats().entries, 2);
+
+  // The least recently used entry was dropped, so this downloads again
+  const again = downloadWithCache(urls[0]);
+  await tick();
+  assert.strictEqual(findDownloads(urls[0]).length, 2);
+  findDownloads(urls[0])[1].reject(new Error('not needed'));
+  await assert.rejects(again);
+
+  fs.rmSync(path.join(downloader.DOWNLOAD_DIR, `cache-test-${process.pid}-c.mp4`));
+  assert.strictEqual(pruneDownloadCache(), 1);
+  assert.strictEqual(getDownloadCacheStats().entries, 1);
+});
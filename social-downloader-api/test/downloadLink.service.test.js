@@ -0,0 +1,94 @@
+process.env.DOWNLOAD_LINK_SECRET = 'test-secret';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { signDownloadUrl, verifyDownloadUrl, claimRange, LINK_TTL_MS } = require('../src/services/downloadLink.service');
+const { serveFile } = require('../src/controllers/file.controller');
+const { DOWNLOAD_DIR } = require('../src/services/downloader.service');
+const errorHandler = require('../src/middlewares/error.middleware');
+
+const FILENAME = `link-test-${process.pid}.mp4`;
+const CONTENT = '0123456789';
+
+fs.mkdirSync(DOWNLOAD_DIR, { recursive: true });
+fs.writeFileSync(path.join(DOWNLOAD_DIR, FILENAME), CONTENT);
+
+const app = express();
+app.get('/api/v1/files/:filename', serveFile);
+app.use(errorHandler);
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+after(() => {
+  server.close();
+  fs.rmSync(path.join(DOWNLOAD_DIR, FILENAME), { force: true });
+});
+
+const queryOf = (downloadUrl) => Object.fromEntries(new URL(downloadUrl, baseUrl).searchParams);
+
+const fetchRange = async (downloadUrl, range) => {
+  const res = await fetch(`${baseUrl}${downloadUrl}`, { headers: range ? { Range: range } : {} });
+  const body = await res.text();
+  // The served bytes are recorded when the response closes
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return { status: res.status, body };
+};
+
+test('a signed link verifies until it expires', (t) => {
+  const { downloadUrl } = signDownloadUrl(FILENAME);
+  const query = queryOf(downloadUrl);
+
+  assert.strictEqual(verifyDownloadUrl(FILENAME, query).nonce, null);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + LINK_TTL_MS + 1000);
+  assert.throws(() => verifyDownloadUrl(FILENAME, query), { code: 'LINK_EXPIRED' });
+});
+
+test('tampered links and other file names are rejected', () => {
+  const query = queryOf(signDownloadUrl(FILENAME).downloadUrl);
+
+  assert.throws(() => verifyDownloadUrl(FILENAME, { ...query, sig: query.sig.replace(/.$/, c => c === '0' ? '1' : '0') }), { code: 'LINK_INVALID' });
+  assert.throws(() => verifyDownloadUrl(FILENAME, { ...query, expires: String(Number(query.expires) + 60) }), { code: 'LINK_INVALID' });
+  assert.throws(() => verifyDownloadUrl('other.mp4', query), { code: 'LINK_INVALID' });
+  assert.throws(() => verifyDownloadUrl(`../${FILENAME}`, query), { code: 'LINK_INVALID' });
+});
+
+test('claimRange refuses overlapping ranges and releases unsent ones', () => {
+  const expiresAt = Date.now() + 60000;
+
+  const settleHead = claimRange('nonce-a', expiresAt, { start: 0, end: 4 }, 10);
+  assert.throws(() => claimRange('nonce-a', expiresAt, { start: 3, end: 6 }, 10), { code: 'LINK_USED' });
+
+  // Nothing was sent, so the same bytes can be asked for again
+  settleHead(0);
+  claimRange('nonce-a', expiresAt, { start: 0, end: 4 }, 10)(5);
+
+  claimRange('nonce-a', expiresAt, { start: 5, end: 9 }, 10)(5);
+  assert.throws(() => claimRange('nonce-a', expiresAt, { start: 8, end: 9 }, 10), { code: 'LINK_USED' });
+});
+
+test('serves Range requests through a signed link', async () => {
+  const { downloadUrl } = signDownloadUrl(FILENAME);
+
+  assert.deepStrictEqual(await fetchRange(downloadUrl, 'bytes=2-5'), { status: 206, body: '2345' });
+  assert.deepStrictEqual(await fetchRange(downloadUrl), { status: 200, body: CONTENT });
+
+  const unsigned = await fetchRange(`/api/v1/files/${FILENAME}`);
+  assert.strictEqual(unsigned.status, 403);
+});
+
+test('a single-use link sends every byte once', async () => {
+  const { downloadUrl } = signDownloadUrl(FILENAME, { singleUse: true });
+
+  assert.deepStrictEqual(await fetchRange(downloadUrl, 'bytes=0-4'), { status: 206, body: '01234' });
+  assert.strictEqual((await fetchRange(downloadUrl, 'bytes=3-7')).status, 410);
+  assert.deepStrictEqual(await fetchRange(downloadUrl, 'bytes=5-9'), { status: 206, body: '56789' });
+
+  const used = await fetchRange(downloadUrl);
+  assert.strictEqual(used.status, 410);
+  assert.strictEqual(JSON.parse(used.body).code, 'LINK_USED');
+});
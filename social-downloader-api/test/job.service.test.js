@@ -0,0 +1,87 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const downloader = require('../src/services/downloader.service');
+
+// Downloads that only finish when the test settles them
+const pending = [];
+mock.method(downloader, 'downloadMedia', (url, options) => new Promise((resolve, reject) => {
+  pending.push({ url, signal: options.signal, resolve, reject });
+}));
+mock.method(downloader, 'resolveMediaId', async (url) => ({ platform: 'test', mediaId: url }));
+
+const { createJob, cancelJob, getJob, serializeJob, JOB_STATUS, MAX_CONCURRENT_DOWNLOADS } = require('../src/services/job.service');
+
+const findDownload = (url) => pending.find(download => download.url === url);
+
+// Let the queue and the download cache catch up
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs at most MAX_CONCURRENT_DOWNLOADS jobs and queues the rest', async () => {
+  const jobs = Array.from({ length: MAX_CONCURRENT_DOWNLOADS + 1 }, (_, i) => createJob(`https://example.com/limit/${i}`));
+  const waiting = jobs[jobs.length - 1];
+  await tick();
+
+  assert.strictEqual(jobs.filter(job => job.status === JOB_STATUS.RUNNING).length, MAX_CONCURRENT_DOWNLOADS);
+  assert.strictEqual(waiting.status, JOB_STATUS.QUEUED);
+  assert.strictEqual(serializeJob(waiting).queuePosition, 1);
+  assert.strictEqual(findDownload(waiting.url), undefined);
+
+  findDownload(jobs[0].url).resolve({ filename: 'first.mp4' });
+  await jobs[0].promise;
+  await tick();
+
+  assert.strictEqual(jobs[0].status, JOB_STATUS.DONE);
+  assert.deepStrictEqual(jobs[0].result, { filename: 'first.mp4', cached: false });
+  assert.strictEqual(waiting.status, JOB_STATUS.RUNNING);
+
+  jobs.slice(1).forEach(job => findDownload(job.url).resolve({ filename: 'other.mp4' }));
+  await Promise.all(jobs.map(job => job.promise));
+});
+
+test('reports a failed download on the job', async () => {
+  const job = createJob('https://example.com/fails');
+  await tick();
+
+  findDownload(job.url).reject(new Error('Video unavailable'));
+  await assert.rejects(job.promise);
+
+  assert.strictEqual(job.status, JOB_STATUS.FAILED);
+  assert.strictEqual(job.error, 'Video unavailable');
+});
+
+test('cancelling a queued job takes it out of the queue', async () => {
+  const running = Array.from({ length: MAX_CONCURRENT_DOWNLOADS }, (_, i) => createJob(`https://example.com/busy/${i}`));
+  const queued = createJob('https://example.com/queued');
+  await tick();
+
+  assert.strictEqual(cancelJob(queued.id), queued);
+  await assert.rejects(queued.promise);
+  assert.strictEqual(queued.status, JOB_STATUS.CANCELLED);
+
+  running.forEach(job => findDownload(job.url).resolve({ filename: 'busy.mp4' }));
+  await Promise.all(running.map(job => job.promise));
+  await tick();
+
+  assert.strictEqual(findDownload(queued.url), undefined);
+});
+
+test('cancelling a running job aborts its download', async () => {
+  const job = createJob('https://example.com/running');
+  await tick();
+  const download = findDownload(job.url);
+
+  cancelJob(job.id);
+  assert.strictEqual(download.signal.aborted, true);
+  assert.strictEqual(job.status, JOB_STATUS.CANCELLED);
+  await assert.rejects(job.promise);
+
+  // The aborted download settling later does not change the job
+  download.reject(new Error('killed'));
+  await tick();
+  assert.strictEqual(job.status, JOB_STATUS.CANCELLED);
+});
+
+test('unknown jobs are neither found nor cancelled', () => {
+  assert.strictEqual(getJob('missing'), null);
+  assert.strictEqual(cancelJob('missing'), null);
+});
@@ -0,0 +1,77 @@
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('../src/services/ffmpeg.runner');
+
+// ffmpeg writes its output file (last argument), ffprobe reports the probe of the test
+const ffmpegRuns = [];
+let probe = {};
+mock.method(ffmpeg, 'runFfmpeg', async (args) => {
+  ffmpegRuns.push(args);
+  fs.writeFileSync(args[args.length - 1], 'processed');
+  return { stdout: '' };
+});
+mock.method(ffmpeg, 'probeMedia', async () => probe);
+
+const { checkPostprocess, runPostprocess, MAX_POSTPROCESS_STEPS } = require('../src/services/postprocess.service');
+const { downloadSchema } = require('../src/utils/validator');
+
+const URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'postprocess-test-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const download = (filename) => {
+  fs.writeFileSync(path.join(directory, filename), 'media');
+  return { filename, filesize: 5, files: [{ filename, filesize: 5 }] };
+};
+
+test('the download schema validates post-processing steps', () => {
+  const parse = (postprocess) => downloadSchema.safeParse({ url: URL, postprocess });
+
+  assert.strictEqual(parse([{ type: 'remux', container: 'mkv' }, { type: 'metadata', mode: 'strip' }]).success, true);
+  assert.strictEqual(parse([{ type: 'remux', container: 'flv' }]).success, false);
+  assert.strictEqual(parse([{ type: 'transcode' }]).success, false);
+  assert.strictEqual(parse([{ type: 'compress', targetSizeMB: 0.5 }]).success, false);
+  assert.strictEqual(parse(Array(MAX_POSTPROCESS_STEPS + 1).fill({ type: 'metadata', mode: 'keep' })).success, false);
+});
+
+test('checkPostprocess rejects audio downloads and unknown containers', () => {
+  checkPostprocess({});
+  checkPostprocess({ postprocess: [{ type: 'remux', container: 'mp4' }] });
+
+  assert.throws(() => checkPostprocess({ format: 'audio', postprocess: [{ type: 'metadata', mode: 'strip' }] }), { code: 'VALIDATION_FAILED' });
+  assert.throws(() => checkPostprocess({ postprocess: [{ type: 'remux', container: '3gp' }] }), { code: 'FORMAT_UNAVAILABLE' });
+});
+
+test('remuxing into a container that cannot hold the codecs is FORMAT_UNAVAILABLE', async () => {
+  probe = { videoCodec: 'h264', audioCodec: 'aac', duration: 10 };
+
+  await assert.rejects(
+    runPostprocess(download('clip.mp4'), [{ type: 'remux', container: 'webm' }], { directory }),
+    { code: 'FORMAT_UNAVAILABLE' }
+  );
+});
+
+test('files in containers outside the table are rewritten to a supported one', async () => {
+  probe = { videoCodec: 'flv1', audioCodec: 'mp3', duration: 10 };
+  ffmpegRuns.length = 0;
+
+  const result = await runPostprocess(download('legacy.flv'), [{ type: 'metadata', mode: 'strip' }], { directory });
+
+  assert.strictEqual(result.filename, 'legacy.mkv');
+  assert.strictEqual(result.files[0].filename, 'legacy.mkv');
+  assert.strictEqual(result.postprocess[0].output.container, 'mkv');
+  assert.ok(ffmpegRuns[0].every(arg => arg !== undefined));
+  assert.strictEqual(fs.existsSync(path.join(directory, 'legacy.flv')), false);
+});
+
+test('a transcode without container picks one that holds the new codecs', async () => {
+  probe = { videoCodec: 'flv1', audioCodec: 'mp3', duration: 10 };
+
+  const result = await runPostprocess(download('old.flv'), [{ type: 'transcode', videoCodec: 'h264', audioCodec: 'aac' }], { directory });
+
+  assert.strictEqual(result.filename, 'old.mp4');
+  assert.deepStrictEqual(result.postprocess.map(report => report.skipped), [false]);
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { withPrefix } = require('../src/services/ytdlp.service');
+const { AppError } = require('../src/utils/errors');
+
+test('withPrefix returns a typed copy and leaves the shared error alone', () => {
+  const shared = new AppError('MEDIA_PRIVATE', 'This video is private');
+
+  const first = withPrefix(shared, 'Instagram: ');
+  const second = withPrefix(shared, 'Instagram: ');
+
+  assert.strictEqual(shared.message, 'This video is private');
+  assert.strictEqual(second.message, 'Instagram: This video is private');
+  assert.strictEqual(first.code, 'MEDIA_PRIVATE');
+  assert.strictEqual(first.statusCode, 403);
+  assert.strictEqual(first.cause, shared);
+});
+
+test('withPrefix types plain errors by their message', () => {
+  const error = withPrefix(new Error('Sign in to confirm your age'), 'YouTube: ');
+
+  assert.ok(error instanceof AppError);
+  assert.strictEqual(error.code, 'LOGIN_REQUIRED');
+  assert.strictEqual(error.message, 'YouTube: Sign in to confirm your age');
+});